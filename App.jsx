@@ -1,4 +1,4 @@
-import React, { useState, useEffect, createContext, useContext, useCallback } from 'react';
+import React, { useState, useEffect, useLayoutEffect, useRef, useMemo, createContext, useContext, useCallback, useSyncExternalStore, useId } from 'react';
 import { 
   MessageSquare, 
   Users, 
@@ -6,102 +6,544 @@ import {
   LogOut, 
   Plus, 
   Send, 
+  Square,
+  Search,
+  Pin,
+  PinOff,
+  Pencil,
+  Trash2,
+  Archive,
+  ArchiveRestore,
   Menu, 
   X, 
   LayoutDashboard,
   ChevronRight,
   User,
-  Settings
+  Settings,
+  Copy,
+  Check,
+  WifiOff,
+  RefreshCw,
+  Download,
+  Upload,
+  ShieldAlert,
+  Phone,
+  Lock,
+  BookOpen,
+  Smile,
+  Flame,
+  Mic,
+  MicOff,
+  Volume2,
+  VolumeX,
+  Stethoscope,
+  HeartHandshake,
+  Brain,
+  Sparkles,
+  Repeat,
+  KeyRound,
+  Globe
 } from 'lucide-react';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import crisisRules from './crisis-rules.json';
+import crisisHotlines from './crisis-hotlines.json';
+import bundledModes from './ai-modes.json';
+import enMessages from './locales/en.json';
+import esMessages from './locales/es.json';
+import arMessages from './locales/ar.json';
 
 // --- Configuration ---
-const API_BASE = 'https://sur-palm-sizes-bedrooms.trycloudflare.com/'; // Change this to your backend URL http://0.0.0.0:8000
+// Build-time defaults come from Vite env (see .env.example); a `config.json` served next to
+// index.html can override them at runtime so one build can point at local, staging or a tunnel.
+// Only development falls back to a local backend; a production build pointed at localhost
+// would fail quietly for every user, so it has no base URL until one is configured.
+const appConfig = {
+  apiBaseUrl: import.meta.env.VITE_API_BASE_URL || (import.meta.env.DEV ? 'http://localhost:8000' : null),
+  environment: import.meta.env.VITE_APP_ENV || (import.meta.env.PROD ? 'production' : 'development'),
+  // Optional endpoint that receives flagged safety events (see the Safety Layer below)
+  safetyReportEndpoint: import.meta.env.VITE_SAFETY_REPORT_ENDPOINT || null,
+  // WebSocket for live updates; derived from apiBaseUrl (ws://.../ws/updates/) when unset
+  realtimeUrl: import.meta.env.VITE_REALTIME_URL || null,
+  // Minutes without input before the session locks; 0 turns the lock off
+  idleTimeoutMinutes: Number(import.meta.env.VITE_IDLE_TIMEOUT_MINUTES ?? 15),
+};
+
+const loadRuntimeConfig = async () => {
+  try {
+    const response = await fetch('/config.json', { cache: 'no-store' });
+    if (!response.ok) return;
+    const overrides = await response.json();
+    if (overrides.apiBaseUrl) appConfig.apiBaseUrl = overrides.apiBaseUrl;
+    if (overrides.environment) appConfig.environment = overrides.environment;
+    if (overrides.safetyReportEndpoint) appConfig.safetyReportEndpoint = overrides.safetyReportEndpoint;
+    if (overrides.realtimeUrl) appConfig.realtimeUrl = overrides.realtimeUrl;
+    if (overrides.idleTimeoutMinutes != null) appConfig.idleTimeoutMinutes = Number(overrides.idleTimeoutMinutes);
+  } catch (e) {
+    // No runtime config (or the dev server answered with index.html): keep the build-time values
+  }
+};
+
+// Resolves once any runtime override has been applied; ApiClient waits on it before every call
+const runtimeConfigReady = loadRuntimeConfig().then(() => {
+  if (!appConfig.apiBaseUrl) console.error('No backend URL: set VITE_API_BASE_URL at build time or apiBaseUrl in config.json');
+});
+
+// Joins the base URL and an endpoint with exactly one slash between them.
+// Absolute URLs are passed through untouched.
+const joinUrl = (base, endpoint) => {
+  if (/^https?:\/\//.test(endpoint)) return endpoint;
+  return `${base.replace(/\/+$/, '')}/${endpoint.replace(/^\/+/, '')}`;
+};
+
+// Backend URLs; without a configured base every request fails with an explanation
+const apiUrl = (endpoint) => {
+  if (!appConfig.apiBaseUrl) throw new Error(translate('config.missingApiBaseUrl'));
+  return joinUrl(appConfig.apiBaseUrl, endpoint);
+};
+
+// Request resilience: how long to wait for response headers and how hard to retry idempotent calls
+const REQUEST_TIMEOUT_MS = 30000;
+const MAX_RETRIES = 2;
+const RETRY_BASE_DELAY_MS = 500;
+const RETRYABLE_STATUSES = [502, 503, 504];
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+// Refresh the access token this many seconds before its `exp` claim
+const TOKEN_REFRESH_LEEWAY_SECONDS = 30;
 
 // --- Auth Context ---
+// Permissions granted by each role when the backend doesn't send an explicit list
+const ROLE_PERMISSIONS = {
+  patient: ['chat', 'search', 'journal', 'teams.view', 'problems.view_own'],
+  clinician: ['chat', 'search', 'journal', 'teams.view', 'teams.edit', 'problems.view_own', 'problems.view_others'],
+  admin: ['chat', 'search', 'journal', 'teams.view', 'teams.edit', 'problems.view_own', 'problems.view_others'],
+};
+const DEFAULT_ROLE = 'patient';
+
 const AuthContext = createContext(null);
 
+// { user, role, permissions, can(permission), ready } for the signed-in user
+const useAuth = () => useContext(AuthContext);
+
+// Accepts either a /me/ response or JWT claims
+const normalizeUser = (data) => ({
+  username: data?.username || null,
+  role: data?.role || (data?.is_staff ? 'admin' : DEFAULT_ROLE),
+  permissions: Array.isArray(data?.permissions) ? data.permissions : null,
+});
+
+const buildAuthValue = (user, ready) => {
+  const role = user?.role || DEFAULT_ROLE;
+  const permissions = new Set(user?.permissions || ROLE_PERMISSIONS[role] || ROLE_PERMISSIONS[DEFAULT_ROLE]);
+  return { user, role, permissions, can: (permission) => permissions.has(permission), ready };
+};
+
+// --- Token Storage ---
+// Where ApiClient keeps credentials, picked at build time with VITE_TOKEN_STORAGE:
+//  - 'local' (default, for development): both tokens in localStorage, so they survive reloads
+//    but any script on the page can read them
+//  - 'cookie': the access token lives in memory only and the refresh token is an httpOnly
+//    cookie that the backend sets on /login/ and reads on /refresh/
+const TOKEN_STORAGE_STRATEGIES = {
+  local: {
+    usesRefreshCookie: false,
+    load: () => ({ access: localStorage.getItem('access_token'), refresh: localStorage.getItem('refresh_token') }),
+    save: (access, refresh) => {
+      localStorage.setItem('access_token', access);
+      localStorage.setItem('refresh_token', refresh);
+    },
+    clear: () => {
+      localStorage.removeItem('access_token');
+      localStorage.removeItem('refresh_token');
+    },
+  },
+  cookie: {
+    usesRefreshCookie: true,
+    load: () => ({ access: null, refresh: null }),
+    save: () => {},
+    clear: () => {},
+  },
+};
+
+const tokenStorage = TOKEN_STORAGE_STRATEGIES[import.meta.env.VITE_TOKEN_STORAGE] || TOKEN_STORAGE_STRATEGIES.local;
+
+// Persisted so a reload can't be used to skip the lock screen
+const SESSION_LOCKED_KEY = 'session_locked';
+
+// --- Internationalisation ---
+// Catalogues in locales/ are flat key -> message maps. Messages interpolate {name} placeholders;
+// a message written as an object ({ one, other, ... }) is picked by plural category of `count`.
+const LOCALES = {
+  en: { name: 'English', dir: 'ltr', messages: enMessages },
+  es: { name: 'Español', dir: 'ltr', messages: esMessages },
+  ar: { name: 'العربية', dir: 'rtl', messages: arMessages },
+};
+const DEFAULT_LOCALE = 'en';
+const LOCALE_STORAGE_KEY = 'locale';
+
+// First of the browser's preferred languages that we have a catalogue for
+const detectLocale = () => {
+  for (const tag of navigator.languages || [navigator.language]) {
+    const base = tag?.split('-')[0];
+    if (LOCALES[base]) return base;
+  }
+  return DEFAULT_LOCALE;
+};
+
+const storedLocale = localStorage.getItem(LOCALE_STORAGE_KEY);
+// Module-level so code outside components (exports, auth errors, the outbox) uses it too.
+// I18nProvider keeps it in step with its state.
+let activeLocale = LOCALES[storedLocale] ? storedLocale : detectLocale();
+
+const formatNumber = (value, options) => new Intl.NumberFormat(activeLocale, options).format(value);
+const formatDate = (value, options = { dateStyle: 'medium' }) => (
+  value == null || value === '' ? '' : new Intl.DateTimeFormat(activeLocale, options).format(new Date(value))
+);
+const formatDateTime = (value) => formatDate(value, { dateStyle: 'medium', timeStyle: 'short' });
+
+const translate = (key, params = {}) => {
+  let message = LOCALES[activeLocale].messages[key] ?? LOCALES[DEFAULT_LOCALE].messages[key] ?? key;
+  if (typeof message === 'object') {
+    message = message[new Intl.PluralRules(activeLocale).select(params.count ?? 0)] ?? message.other;
+  }
+  const values = params.count == null ? params : { ...params, count: formatNumber(params.count) };
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => values[name] ?? placeholder);
+};
+
+const I18nContext = createContext(null);
+const useI18n = () => useContext(I18nContext);
+
+// Owns the active locale, mirrors it onto <html lang dir> and re-renders consumers on change.
+// activeLocale is switched before the re-render so translate() and request headers follow at once.
+const I18nProvider = ({ children }) => {
+  const [locale, setLocaleState] = useState(activeLocale);
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+    document.documentElement.dir = LOCALES[locale].dir;
+  }, [locale]);
+
+  const value = useMemo(() => ({
+    locale,
+    dir: LOCALES[locale].dir,
+    setLocale: (next) => {
+      if (!LOCALES[next]) return;
+      localStorage.setItem(LOCALE_STORAGE_KEY, next);
+      activeLocale = next;
+      setLocaleState(next);
+    },
+    t: translate,
+    formatDate,
+    formatDateTime,
+    formatNumber,
+  }), [locale]);
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+};
+
+// Signed-in users keep their choice per account: on this device and, when the backend
+// accepts it, on their profile
+const userLocaleKey = (username) => `${LOCALE_STORAGE_KEY}:${username}`;
+
+const LanguageSwitcher = ({ username }) => {
+  const { t, locale, setLocale } = useI18n();
+
+  const handleChange = (next) => {
+    setLocale(next);
+    if (!username) return;
+    localStorage.setItem(userLocaleKey(username), next);
+    api.request('/me/', { method: 'PATCH', body: JSON.stringify({ locale: next }) })
+      .catch(e => console.warn("Couldn't save the language preference", e));
+  };
+
+  return (
+    <label className="flex items-center gap-1 text-sm text-gray-600" title={t('language.label')}>
+      <Globe size={16} />
+      <select
+        value={locale}
+        onChange={e => handleChange(e.target.value)}
+        aria-label={t('language.label')}
+        className="bg-transparent border border-gray-300 rounded-md px-1 py-0.5 text-sm"
+      >
+        {Object.entries(LOCALES).map(([code, { name }]) => (
+          <option key={code} value={code} lang={code}>{name}</option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
 // --- API Utility with Silent Refresh ---
 // This class manages the tokens and request logic to ensure the user stays logged in
 class ApiClient {
-  constructor() {
-    this.accessToken = localStorage.getItem('access_token');
-    this.refreshToken = localStorage.getItem('refresh_token');
+  constructor(storage = tokenStorage) {
+    this.storage = storage;
+    this.loadTokens();
+    // Shared in-flight refresh so concurrent 401s trigger a single /refresh/ call
+    this.refreshPromise = null;
+    // Set by the App shell so an expired session can route back to login without a reload
+    this.onSessionExpired = null;
   }
 
-  setTokens(access, refresh) {
+  // Also used to pick up tokens another tab has just stored
+  loadTokens() {
+    const { access, refresh } = this.storage.load();
     this.accessToken = access;
     this.refreshToken = refresh;
-    localStorage.setItem('access_token', access);
-    localStorage.setItem('refresh_token', refresh);
+  }
+
+  setTokens(access, refresh) {
+    this.accessToken = access;
+    // In cookie mode a refresh token in the response body is ignored rather than kept around
+    this.refreshToken = this.storage.usesRefreshCookie ? null : refresh;
+    this.storage.save(access, refresh);
   }
 
   clearTokens() {
     this.accessToken = null;
     this.refreshToken = null;
-    localStorage.removeItem('access_token');
-    localStorage.removeItem('refresh_token');
+    this.storage.clear();
+    localStorage.removeItem(SESSION_LOCKED_KEY);
   }
 
-  async request(endpoint, options = {}) {
-    let url = endpoint.startsWith('http') ? endpoint : `${API_BASE}${endpoint}`;
+  // Called after /login/ (or a registration that returns tokens) so other tabs sign in too
+  startSession(access, refresh) {
+    this.setTokens(access, refresh);
+    broadcastAuthEvent('login');
+  }
+
+  // Ends the session in every tab; cookie mode also asks the server to expire the cookie
+  async logout() {
+    clearUserData(sessionUserId(this.accessToken));
+    this.clearTokens();
+    broadcastAuthEvent('logout');
+    if (this.storage.usesRefreshCookie) {
+      await runtimeConfigReady;
+      if (appConfig.apiBaseUrl) {
+        await fetch(apiUrl('/logout/'), { method: 'POST', credentials: 'include' }).catch(() => {});
+      }
+    }
+  }
+
+  // In cookie mode there's no token to check, so only a tab that had a session tries to renew it
+  canRefresh() {
+    return this.storage.usesRefreshCookie ? !!this.accessToken : !!this.refreshToken;
+  }
+
+  // On startup: true when there's a usable session. Cookie mode asks /refresh/, since the
+  // access token didn't survive the reload.
+  async restoreSession() {
+    if (this.accessToken) return true;
+    if (!this.storage.usesRefreshCookie && !this.refreshToken) return false;
+    return this.refreshAccessToken();
+  }
+
+  // Performs the fetch with auth headers and a single silent refresh on 401.
+  // Returns the raw Response so callers can decide how to read the body.
+  // Extra options: `signal` to cancel, `timeout` (ms until response headers),
+  // `retries` for idempotent methods on network errors and 502/503/504, and
+  // `anonymous` for credential endpoints, where a 401 means wrong credentials and
+  // must not refresh or resend the session's token.
+  async fetchWithRefresh(endpoint, options = {}) {
+    const { timeout = REQUEST_TIMEOUT_MS, retries, anonymous = false, ...fetchOptions } = options;
+    await runtimeConfigReady;
+    const url = apiUrl(endpoint);
     
-    // Default headers
+    // Default headers (FormData bodies let the browser set the multipart boundary)
     const headers = {
-      'Content-Type': 'application/json',
-      ...options.headers,
+      ...(fetchOptions.body instanceof FormData ? {} : { 'Content-Type': 'application/json' }),
+      'Accept-Language': activeLocale,
+      ...fetchOptions.headers,
     };
 
-    if (this.accessToken) {
-      headers['Authorization'] = `Bearer ${this.accessToken}`;
+    // Refresh ahead of expiry rather than waiting for a 401
+    if (!anonymous && this.canRefresh() && isTokenExpiring(this.accessToken)) {
+      await this.refreshAccessToken();
+    }
+
+    const sentToken = anonymous ? null : this.accessToken;
+    if (sentToken) {
+      headers['Authorization'] = `Bearer ${sentToken}`;
     }
 
     const config = {
-      ...options,
+      // Lets /login/ set, and /refresh/ read, the refresh cookie across origins
+      ...(this.storage.usesRefreshCookie && { credentials: 'include' }),
+      ...fetchOptions,
       headers,
     };
 
-    try {
-      let response = await fetch(url, config);
-
-      // If unauthorized, try to refresh token
-      if (response.status === 401 && this.refreshToken) {
-        console.log("Access token expired. Attempting silent refresh...");
-        const refreshSuccess = await this.refreshAccessToken();
-        
-        if (refreshSuccess) {
-          // Update header with new token and retry original request
-          config.headers['Authorization'] = `Bearer ${this.accessToken}`;
-          response = await fetch(url, config);
-        } else {
-          // Refresh failed, user must login again
-          this.clearTokens();
-          window.location.href = '/'; // Simple redirect to login
-          throw new Error('Session expired');
+    const method = (config.method || 'GET').toUpperCase();
+    const maxRetries = retries ?? (IDEMPOTENT_METHODS.includes(method) ? MAX_RETRIES : 0);
+
+    let response = await this.fetchWithRetry(url, config, { timeout, maxRetries });
+
+    // If unauthorized, try to refresh token
+    if (response.status === 401 && !anonymous && this.canRefresh()) {
+      // Another request may already have swapped in a fresh token while this one was in flight
+      const refreshSuccess = (this.accessToken && this.accessToken !== sentToken) || await this.refreshAccessToken();
+      
+      if (refreshSuccess) {
+        // Update header with new token and retry original request
+        config.headers['Authorization'] = `Bearer ${this.accessToken}`;
+        response = await this.fetchWithRetry(url, config, { timeout, maxRetries });
+      } else {
+        // Refresh failed, user must login again
+        this.clearTokens();
+        this.onSessionExpired?.();
+        throw new Error(translate('errors.sessionExpired'));
+      }
+    }
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      const error = new Error(errorData.detail || errorData.error || translate('errors.status', { status: response.status }));
+      error.status = response.status;
+      // Raw body for per-field validation errors, and the server's back-off hint on 429
+      error.data = errorData;
+      error.retryAfter = Number(response.headers.get('Retry-After')) || null;
+      throw error;
+    }
+
+    return response;
+  }
+
+  // Retries network failures, timeouts and gateway errors with exponential backoff
+  // plus full jitter. Aborts coming from the caller's signal are never retried.
+  async fetchWithRetry(url, config, { timeout, maxRetries }) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await fetchWithTimeout(url, config, timeout);
+        if (!RETRYABLE_STATUSES.includes(response.status) || attempt >= maxRetries) {
+          return response;
         }
+      } catch (error) {
+        if (isAbortError(error) || attempt >= maxRetries) throw error;
       }
 
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(errorData.detail || errorData.error || `Error: ${response.status}`);
+      const backoff = RETRY_BASE_DELAY_MS * 2 ** attempt;
+      await sleep(Math.random() * backoff + backoff / 2, config.signal);
+    }
+  }
+
+  async request(endpoint, options = {}) {
+    const response = await this.fetchWithRefresh(endpoint, options);
+    // DELETE and some PATCH endpoints answer 204 with an empty body
+    const text = await response.text();
+    return text ? JSON.parse(text) : null;
+  }
+
+  // Streaming variant of request(): calls onToken with each piece of text as it
+  // arrives and resolves with the full text. Understands Server-Sent Events and
+  // plain chunked bodies; a regular JSON reply is treated as a single token so
+  // backends that don't stream keep working. `onResponse` runs once the headers of a
+  // successful response are in, before any of the body is read.
+  async stream(endpoint, { onResponse, ...options } = {}, onToken = () => {}) {
+    const response = await this.fetchWithRefresh(endpoint, {
+      ...options,
+      headers: { Accept: 'text/event-stream, application/json', ...options.headers },
+    });
+    onResponse?.(response);
+
+    const contentType = response.headers.get('Content-Type') || '';
+    if (contentType.includes('application/json') || !response.body) {
+      const data = await response.json();
+      const text = data.response || '';
+      onToken(text);
+      return text;
+    }
+
+    const isEventStream = contentType.includes('text/event-stream');
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let fullText = '';
+    let buffer = '';
+
+    const emit = (token) => {
+      if (!token) return;
+      fullText += token;
+      onToken(token);
+    };
+
+    // Returns false once the server signals the end of the stream
+    const handleEvent = (rawEvent) => {
+      const data = rawEvent
+        .split(/\r?\n/)
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).replace(/^ /, ''))
+        .join('\n');
+      if (!data) return true;
+      if (data === '[DONE]') return false;
+      emit(parseStreamToken(data));
+      return true;
+    };
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      const chunk = decoder.decode(value, { stream: true });
+
+      if (!isEventStream) {
+        emit(chunk);
+        continue;
       }
 
-      return await response.json();
-    } catch (error) {
-      throw error;
+      buffer += chunk;
+      const events = buffer.split(/\r?\n\r?\n/);
+      buffer = events.pop();
+      for (const rawEvent of events) {
+        if (!handleEvent(rawEvent)) {
+          reader.cancel().catch(() => {});
+          return fullText;
+        }
+      }
+    }
+
+    const rest = decoder.decode();
+    if (isEventStream) {
+      handleEvent(buffer + rest);
+    } else {
+      emit(rest);
+    }
+    return fullText;
+  }
+
+  // Single-flight: every caller that needs a new token awaits the same promise. Across tabs
+  // the refreshes take turns, since with rotation two racing ones would revoke each other.
+  refreshAccessToken() {
+    if (!this.refreshPromise) {
+      this.refreshPromise = withCrossTabLock(REFRESH_LOCK_NAME, () => this.performRefresh()).finally(() => {
+        this.refreshPromise = null;
+      });
     }
+    return this.refreshPromise;
   }
 
-  async refreshAccessToken() {
+  async performRefresh() {
     try {
-      const response = await fetch(`${API_BASE}/refresh/`, {
+      await runtimeConfigReady;
+      const cookieMode = this.storage.usesRefreshCookie;
+      // Another tab may have refreshed while this one waited for the lock
+      if (!cookieMode) {
+        const stored = this.storage.load();
+        if (stored.access && stored.access !== this.accessToken && !isTokenExpiring(stored.access)) {
+          this.loadTokens();
+          return true;
+        }
+      }
+      const response = await fetch(apiUrl('/refresh/'), {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ refresh: this.refreshToken }),
+        body: JSON.stringify(cookieMode ? {} : { refresh: this.refreshToken }),
+        ...(cookieMode && { credentials: 'include' }),
       });
 
       if (response.ok) {
         const data = await response.json();
-        this.setTokens(data.access, this.refreshToken); // Keep old refresh token usually, or update if provided
+        // With refresh-token rotation the server hands back a new refresh token too
+        this.setTokens(data.access, data.refresh || this.refreshToken);
+        // Other tabs would otherwise keep sending the refresh token rotation just revoked
+        broadcastAuthEvent('refresh');
         return true;
       }
       return false;
@@ -111,669 +553,4983 @@ class ApiClient {
   }
 }
 
-const api = new ApiClient();
+// Reads the payload of a JWT without verifying it; returns null for anything malformed
+const decodeJwtPayload = (token) => {
+  try {
+    const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    return JSON.parse(atob(payload.padEnd(payload.length + (4 - payload.length % 4) % 4, '=')));
+  } catch (e) {
+    return null;
+  }
+};
 
-// --- Components ---
+const isTokenExpiring = (token) => {
+  if (!token) return false;
+  const exp = decodeJwtPayload(token)?.exp;
+  if (!exp) return false;
+  return exp - TOKEN_REFRESH_LEEWAY_SECONDS <= Date.now() / 1000;
+};
 
-const Login = ({ onLogin, onSwitchToRegister }) => {
-  const [username, setUsername] = useState('');
-  const [password, setPassword] = useState('');
-  const [error, setError] = useState('');
-  const [loading, setLoading] = useState(false);
+const isAbortError = (error) => error?.name === 'AbortError';
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    setLoading(true);
-    setError('');
-    try {
-      // Assuming your URL structure based on requirements
-      const data = await api.request('/login/', {
-        method: 'POST',
-        body: JSON.stringify({ username, password }),
-      });
-      // The view returns { access, refresh }
-      api.setTokens(data.access, data.refresh);
-      onLogin();
-    } catch (err) {
-      setError('Invalid credentials');
-    } finally {
-      setLoading(false);
-    }
+const REFRESH_LOCK_NAME = 'therapy-ai-refresh';
+
+// Runs `task` while holding a lock shared by every tab of this origin, where the browser has one
+const withCrossTabLock = (name, task) => (navigator.locks ? navigator.locks.request(name, task) : task());
+
+// Resolves after `ms`, rejecting early with an AbortError if the signal fires
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) return reject(new DOMException('Aborted', 'AbortError'));
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(new DOMException('Aborted', 'AbortError'));
   };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
 
-  return (
-    <div className="min-h-screen flex items-center justify-center bg-gray-50">
-      <div className="max-w-md w-full space-y-8 p-8 bg-white rounded-xl shadow-lg border border-gray-100">
-        <div className="text-center">
-          <h2 className="mt-6 text-3xl font-extrabold text-gray-900">Welcome Back</h2>
-          <p className="mt-2 text-sm text-gray-600">Sign in to your account</p>
-        </div>
-        <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
-          <div className="rounded-md shadow-sm -space-y-px">
-            <input
-              type="text"
-              required
-              className="appearance-none rounded-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-t-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
-              placeholder="Username"
-              value={username}
-              onChange={(e) => setUsername(e.target.value)}
-            />
-            <input
-              type="password"
-              required
-              className="appearance-none rounded-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-b-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
-              placeholder="Password"
-              value={password}
-              onChange={(e) => setPassword(e.target.value)}
-            />
-          </div>
-          {error && <p className="text-red-500 text-sm">{error}</p>}
-          <div>
-            <button
-              type="submit"
-              disabled={loading}
-              className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50"
-            >
-              {loading ? 'Signing in...' : 'Sign in'}
-            </button>
-          </div>
-          <div className="text-center">
-            <button type="button" onClick={onSwitchToRegister} className="text-sm text-indigo-600 hover:text-indigo-500">
-              Need an account? Register
-            </button>
-          </div>
-        </form>
-      </div>
-    </div>
-  );
+// A signal that aborts when either does. AbortSignal.any() lets the combined signal be collected
+// once the request is done; older browsers fall back to a listener that lives as long as `signal`.
+const anySignal = (signal, other) => {
+  if (!signal) return other;
+  if (AbortSignal.any) return AbortSignal.any([signal, other]);
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  if (signal.aborted || other.aborted) abort();
+  signal.addEventListener('abort', abort, { once: true });
+  other.addEventListener('abort', abort, { once: true });
+  return controller.signal;
 };
 
-const Register = ({ onRegister, onSwitchToLogin }) => {
-  const [formData, setFormData] = useState({ username: '', email: '', password: '' });
-  const [error, setError] = useState('');
-  const [loading, setLoading] = useState(false);
+// fetch() bounded by a timeout that covers waiting for the response headers.
+// The caller's signal still cancels the request (and any body reading) at any time.
+const fetchWithTimeout = async (url, config, timeout) => {
+  const timeoutController = new AbortController();
+  let timedOut = false;
+  const timer = timeout ? setTimeout(() => {
+    timedOut = true;
+    timeoutController.abort();
+  }, timeout) : null;
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    setLoading(true);
-    setError('');
-    try {
-      await api.request('/register/', {
-        method: 'POST',
-        body: JSON.stringify(formData),
-      });
-      // Auto login after register or ask to login. For now, switch to login.
-      alert("Registration successful! Please login.");
-      onSwitchToLogin();
-    } catch (err) {
-      setError(err.message || 'Registration failed');
-    } finally {
-      setLoading(false);
+  try {
+    return await fetch(url, { ...config, signal: anySignal(config.signal, timeoutController.signal) });
+  } catch (error) {
+    if (timedOut) {
+      const timeoutError = new Error(translate('errors.timeout'));
+      timeoutError.name = 'TimeoutError';
+      throw timeoutError;
     }
-  };
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+};
 
-  return (
-    <div className="min-h-screen flex items-center justify-center bg-gray-50">
-      <div className="max-w-md w-full space-y-8 p-8 bg-white rounded-xl shadow-lg border border-gray-100">
-        <div className="text-center">
-          <h2 className="mt-6 text-3xl font-extrabold text-gray-900">Create Account</h2>
-        </div>
-        <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
-          <div className="rounded-md shadow-sm space-y-2">
-            <input
-              type="text"
-              required
-              className="appearance-none rounded-md relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
-              placeholder="Username"
-              value={formData.username}
-              onChange={(e) => setFormData({ ...formData, username: e.target.value })}
-            />
-            <input
-              type="email"
-              required
-              className="appearance-none rounded-md relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
-              placeholder="Email"
-              value={formData.email}
-              onChange={(e) => setFormData({ ...formData, email: e.target.value })}
-            />
-            <input
-              type="password"
-              required
-              className="appearance-none rounded-md relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
-              placeholder="Password"
-              value={formData.password}
-              onChange={(e) => setFormData({ ...formData, password: e.target.value })}
-            />
-          </div>
-          {error && <p className="text-red-500 text-sm">{error}</p>}
-          <button
-            type="submit"
-            disabled={loading}
-            className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-green-600 hover:bg-green-700 focus:outline-none"
-          >
-            {loading ? 'Creating...' : 'Register'}
-          </button>
-          <div className="text-center">
-            <button type="button" onClick={onSwitchToLogin} className="text-sm text-indigo-600 hover:text-indigo-500">
-              Already have an account? Login
-            </button>
-          </div>
-        </form>
-      </div>
-    </div>
-  );
+// SSE payloads are either raw text or JSON carrying the token under one of a few common keys
+const parseStreamToken = (data) => {
+  try {
+    const parsed = JSON.parse(data);
+    if (typeof parsed === 'string') return parsed;
+    return parsed.token ?? parsed.delta ?? parsed.content ?? parsed.response ?? '';
+  } catch (e) {
+    return data;
+  }
 };
 
-// --- Main Chat Component ---
-const ChatInterface = () => {
-  const [sessions, setSessions] = useState([]);
-  const [activeSessionId, setActiveSessionId] = useState(null);
-  const [messages, setMessages] = useState([]);
-  const [input, setInput] = useState('');
-  const [loading, setLoading] = useState(false);
-  const [isModalOpen, setIsModalOpen] = useState(false);
-  
-  // New Chat Form State
-  const [newChatTitle, setNewChatTitle] = useState('');
-  const [newChatMode, setNewChatMode] = useState('specialist');
+const api = new ApiClient();
 
-  // Load chat sessions (Titles)
-  const fetchSessions = useCallback(async () => {
-    try {
-      const data = await api.request('/Chats/');
-      setSessions(data);
-    } catch (error) {
-      console.error("Failed to load chats", error);
-    }
-  }, []);
+// --- Per-user Device Data ---
+// What the app keeps on the device for a signed-in user (queued prompts, drafts, offline
+// copies of wellbeing data) is stored under their id and cleared on logout, so the next
+// account on a shared device never sees it.
+const sessionUserId = (token = api.accessToken) => {
+  const claims = decodeJwtPayload(token);
+  return claims?.user_id ?? claims?.username ?? null;
+};
 
-  useEffect(() => {
-    fetchSessions();
-  }, [fetchSessions]);
+const userStorageKey = (key, userId = sessionUserId()) => `${key}:${userId}`;
 
-  // Load messages for a specific session
-  const loadChatHistory = async (sessionId) => {
-    setLoading(true);
-    try {
-      const allHistories = await api.request('/ChatData/');
-      const history = allHistories.find(h => h.chat === sessionId);
-      
-      // FIX STARTS HERE
-      if (history && history.content) { // 1. Check for 'content', not 'messages'
-        // 2. Map backend 'message' key to frontend 'content' key
-        const formattedMessages = history.content.map(msg => ({
-          role: msg.role,
-          // Backend uses 'message', Frontend UI expects 'content'
-          // We use a fallback OR just in case legacy data has 'content'
-          content: msg.message || msg.content || '' 
-        }));
-        
-        setMessages(formattedMessages);
-      } else {
-        setMessages([]);
-      }
-      // FIX ENDS HERE
+// Each store registers a cleaner that receives the id of the user signing out
+const userDataCleaners = new Set();
+const registerUserDataCleaner = (cleaner) => {
+  userDataCleaners.add(cleaner);
+  return () => userDataCleaners.delete(cleaner);
+};
 
-      setActiveSessionId(sessionId);
-    } catch (error) {
-      console.error("Failed to load history", error);
-    } finally {
-      setLoading(false);
-    }
-  };
-  const handleCreateChat = async (e) => {
-    e.preventDefault();
-    if (!newChatTitle) return;
+const clearUserData = (userId) => {
+  if (userId == null) return;
+  for (const cleaner of userDataCleaners) {
+    Promise.resolve()
+      .then(() => cleaner(userId))
+      .catch(error => console.error("Failed to clear local user data", error));
+  }
+};
 
-    try {
-      // 1. Create the session
-      const newSession = await api.request('/Chats/', {
-        method: 'POST',
-        body: JSON.stringify({ 
-          title: newChatTitle, 
-          AiMode: newChatMode 
-        })
-      });
+// --- Cross-tab Auth Sync ---
+// Tabs tell each other about login, logout, token refresh, idle lock and user activity so
+// none of them keeps showing a session that ended elsewhere. The shell listens on authEvents.
+const authChannel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel('therapy-ai-auth') : null;
+const authEvents = new EventTarget();
 
-      // 2. Refresh list
-      await fetchSessions();
-      
-      // 3. Close modal
-      setIsModalOpen(false);
-      setNewChatTitle('');
-      
-      // 4. Automatically switch to the new endpoint/chat view
-      setActiveSessionId(newSession.id);
-      setMessages([]); // New chat is empty initially
-      
-    } catch (error) {
-      alert("Failed to create chat");
-    }
-  };
+const broadcastAuthEvent = (type) => authChannel?.postMessage({ type });
 
-  const handleSendMessage = async (e) => {
-    e.preventDefault();
-    if (!input.trim() || !activeSessionId) return;
+authChannel?.addEventListener('message', async ({ data }) => {
+  if (data.type === 'logout') {
+    clearUserData(sessionUserId());
+    api.clearTokens();
+  } else if (data.type === 'login' || data.type === 'refresh') {
+    if (!tokenStorage.usesRefreshCookie) api.loadTokens();
+    // The cookie is shared, but this tab needs its own in-memory access token. Every tab
+    // refreshes here at once; refreshAccessToken makes them take turns.
+    else if (data.type === 'login' && !(await api.refreshAccessToken())) return;
+  }
+  authEvents.dispatchEvent(new CustomEvent(data.type));
+});
 
-    const userMsg = { role: 'user', content: input };
-    setMessages(prev => [...prev, userMsg]);
-    setInput('');
-    setLoading(true);
+// --- Query Cache ---
+// Shared, keyed cache over the ApiClient. Views render cached data straight away and refetch
+// in the background once it's stale; concurrent requests for one key share a single promise.
+// Keys are arrays, so invalidating ['chats'] also covers ['chats', id].
+// Fetchers receive an AbortSignal that fires once nobody needs the result any more: no view
+// is subscribed and every fetchQuery caller that passed a `signal` has aborted.
+const QUERY_STALE_MS = 30 * 1000;
+const queryCache = new Map();
 
-    try {
-      const activeSession = sessions.find(s => s.id === activeSessionId);
-      
-      // Call the continue_chat endpoint
-      const response = await api.request('/ChatData/continue_chat/', {
-        method: 'POST',
-        body: JSON.stringify({
-          ChatID: activeSessionId,
-          prompt: userMsg.content,
-          mode: activeSession?.AiMode || 'specialist'
-        })
-      });
+const hashQueryKey = (key) => JSON.stringify(key);
 
-      const aiMsg = { role: 'assistant', content: response.response };
-      setMessages(prev => [...prev, aiMsg]);
-      
-    } catch (error) {
-      setMessages(prev => [...prev, { role: 'system', content: 'Error getting response.' }]);
-    } finally {
+const getQueryEntry = (key) => {
+  const hash = hashQueryKey(key);
+  if (!queryCache.has(hash)) {
+    queryCache.set(hash, {
+      key,
+      state: { data: undefined, error: null, fetching: false, updatedAt: 0 },
+      fetcher: null,
+      promise: null,
+      controller: null,
+      // fetchQuery callers still waiting with a live signal
+      holders: 0,
+      listeners: new Set(),
+    });
+  }
+  return queryCache.get(hash);
+};
+
+const setQueryState = (entry, changes) => {
+  entry.state = { ...entry.state, ...changes };
+  entry.listeners.forEach(listener => listener());
+};
+
+const startFetch = (entry) => {
+  const controller = new AbortController();
+  // An abandoned fetch settles after its replacement has started and must not touch the state
+  const isCurrent = () => entry.controller === controller;
+  entry.controller = controller;
+
+  setQueryState(entry, { fetching: true });
+  entry.promise = entry.fetcher(controller.signal)
+    .then(data => {
+      if (isCurrent()) setQueryState(entry, { data, error: null, fetching: false, updatedAt: Date.now() });
+      return data;
+    })
+    .catch(error => {
+      // Not logged here: the error lands in the query state and each view shows it.
+      // An abort isn't an error; the cached data stays as it was.
+      if (isCurrent()) setQueryState(entry, isAbortError(error) ? { fetching: false } : { error, fetching: false });
+      throw error;
+    })
+    .finally(() => {
+      if (isCurrent()) entry.promise = null;
+    });
+};
+
+const releaseQuery = (entry) => {
+  if (entry.promise && !entry.listeners.size && !entry.holders) entry.controller.abort();
+};
+
+// Keeps the fetch alive for a caller until it settles or `signal` aborts
+const holdQuery = (entry, signal) => {
+  const promise = entry.promise;
+  let holding = true;
+  const release = () => {
+    if (!holding) return;
+    holding = false;
+    entry.holders--;
+    signal.removeEventListener('abort', release);
+    if (entry.promise === promise) releaseQuery(entry);
+  };
+  entry.holders++;
+  signal.addEventListener('abort', release);
+  promise.then(release, release);
+  if (signal.aborted) release();
+};
+
+const fetchQuery = (key, fetcher, { signal } = {}) => {
+  const entry = getQueryEntry(key);
+  if (fetcher) entry.fetcher = fetcher;
+  // An aborted fetch can't be joined, so a new caller starts over
+  if (!entry.promise || entry.controller.signal.aborted) startFetch(entry);
+  if (signal) holdQuery(entry, signal);
+  return entry.promise;
+};
+
+// For optimistic updates: `updater` gets the cached data (undefined before the first load)
+const setQueryData = (key, updater) => {
+  const entry = getQueryEntry(key);
+  const data = typeof updater === 'function' ? updater(entry.state.data) : updater;
+  setQueryState(entry, { data, updatedAt: entry.state.updatedAt || Date.now() });
+};
+
+// Marks matching queries stale after a mutation and refetches the ones currently on screen.
+// Resolves once those refetches settle.
+const invalidateQueries = (prefix) => {
+  const hashPrefix = hashQueryKey(prefix).slice(0, -1);
+  const refetches = [];
+  for (const [hash, entry] of queryCache) {
+    if (!hash.startsWith(hashPrefix)) continue;
+    entry.state = { ...entry.state, updatedAt: 0 };
+    if (entry.listeners.size && entry.fetcher) refetches.push(fetchQuery(entry.key).catch(() => {}));
+  }
+  return Promise.all(refetches);
+};
+
+// Cached data belongs to the signed-in user. Mounted queries are notified so they move to a
+// fresh entry and refetch instead of listening to a detached one.
+const clearQueryCache = () => {
+  const entries = [...queryCache.values()];
+  queryCache.clear();
+  entries.forEach(entry => {
+    entry.controller?.abort();
+    entry.listeners.forEach(listener => listener());
+  });
+};
+
+const useQuery = (key, fetcher, { enabled = true, staleTime = QUERY_STALE_MS } = {}) => {
+  const entry = getQueryEntry(key);
+  const subscribe = useCallback((listener) => {
+    entry.listeners.add(listener);
+    return () => {
+      entry.listeners.delete(listener);
+      // Deferred so a remount (StrictMode, a moved component) picks the fetch back up
+      queueMicrotask(() => releaseQuery(entry));
+    };
+  }, [entry]);
+  // Looked up on each read so a cleared cache hands over to the new entry
+  const state = useSyncExternalStore(subscribe, () => getQueryEntry(key).state);
+
+  useEffect(() => {
+    if (!enabled) return;
+    entry.fetcher = fetcher;
+    if (Date.now() - entry.state.updatedAt > staleTime) fetchQuery(key).catch(() => {});
+  }, [entry, enabled]);
+
+  return {
+    data: state.data,
+    error: state.error,
+    fetching: state.fetching,
+    loading: enabled && state.data === undefined && !state.error,
+    refetch: () => fetchQuery(key, fetcher).catch(() => {}),
+    setData: (updater) => setQueryData(key, updater),
+  };
+};
+
+// Loading, error and empty states shared by every query-backed list
+const QueryStatus = ({ query, isEmpty, empty, children }) => {
+  const { t } = useI18n();
+  if (query.loading) return <p className="text-gray-400">{t('common.loading')}</p>;
+  if (query.error && query.data === undefined) {
+    return (
+      <div className="flex items-center justify-between gap-2 p-3 rounded-md bg-red-50 border border-red-200 text-red-700 text-sm">
+        <span>{t('query.loadFailed', { message: query.error.message })}</span>
+        <button onClick={query.refetch} className="flex items-center gap-1 font-medium hover:text-red-900">
+          <RefreshCw size={14} /> {t('common.retry')}
+        </button>
+      </div>
+    );
+  }
+  return (
+    <>
+      {query.error && (
+        <p className="text-xs text-amber-700">
+          {t('query.staleData')}{' '}
+          <button onClick={query.refetch} className="underline">{t('common.retry')}</button>
+        </p>
+      )}
+      {isEmpty ? empty : children}
+    </>
+  );
+};
+
+// --- Real-time Updates ---
+// One WebSocket per signed-in tab. Protocol:
+//   client -> server: { type: 'auth', token } right after connecting, then { type: 'ping' }
+//   server -> client: { type: 'auth.ok' }, { type: 'pong' }, and change events shaped
+//                     { type: '<chat|team|problem>.<created|updated|deleted>', data: record }
+// The server closes with 4001 when the token is rejected. See mock-realtime-server.js.
+const REALTIME_HEARTBEAT_MS = 25 * 1000;
+// No message at all (pongs included) for this long means the connection is dead
+const REALTIME_STALE_MS = 60 * 1000;
+const REALTIME_MAX_BACKOFF_MS = 30 * 1000;
+const REALTIME_AUTH_FAILED = 4001;
+const REALTIME_QUERIES = { chat: ['chats'], team: ['teams'], problem: ['problems'] };
+
+const upsertById = (record) => (list) => (list.some(item => item.id === record.id)
+  ? list.map(item => (item.id === record.id ? { ...item, ...record } : item))
+  : [...list, record]);
+
+const applyRealtimeEvent = ({ type, data }) => {
+  const [resource, action] = String(type).split('.');
+  const key = REALTIME_QUERIES[resource];
+  if (!key || !data) return;
+  // Problems are cached per patient and normalised on load, so refetch instead of patching
+  if (resource === 'problem') {
+    invalidateQueries(key);
+    return;
+  }
+  // Nothing to patch until the view has loaded the list once
+  if (getQueryEntry(key).state.data === undefined) return;
+  setQueryData(key, action === 'deleted' ? list => list.filter(item => item.id !== data.id) : upsertById(data));
+};
+
+const realtimeUrl = () => appConfig.realtimeUrl
+  || (appConfig.apiBaseUrl ? apiUrl('/ws/updates/').replace(/^http/, 'ws') : null);
+
+// `url` and the timings default to the app's; tests point them at the mock server
+class RealtimeClient {
+  constructor({ url, heartbeatMs = REALTIME_HEARTBEAT_MS, staleMs = REALTIME_STALE_MS } = {}) {
+    this.url = url;
+    this.heartbeatMs = heartbeatMs;
+    this.staleMs = staleMs;
+    this.socket = null;
+    this.active = false;
+    this.attempt = 0;
+    this.connectedBefore = false;
+    this.reconnectTimer = null;
+    this.heartbeatTimer = null;
+    this.lastMessageAt = 0;
+    this.handleOnline = () => {
+      if (this.active && !this.socket) {
+        clearTimeout(this.reconnectTimer);
+        this.connect();
+      }
+    };
+  }
+
+  start() {
+    if (this.active || typeof WebSocket === 'undefined') return;
+    this.active = true;
+    window.addEventListener('online', this.handleOnline);
+    this.connect();
+  }
+
+  stop() {
+    this.active = false;
+    this.connectedBefore = false;
+    this.attempt = 0;
+    clearTimeout(this.reconnectTimer);
+    window.removeEventListener('online', this.handleOnline);
+    this.teardown();
+  }
+
+  async connect() {
+    await runtimeConfigReady;
+    // Don't authenticate with a token that lapses moments later
+    if (api.canRefresh() && isTokenExpiring(api.accessToken)) await api.refreshAccessToken();
+    if (!this.active || this.socket) return;
+
+    const url = this.url || realtimeUrl();
+    if (!url) return;
+    const socket = new WebSocket(url);
+    this.socket = socket;
+    socket.onopen = () => {
+      // Sent as a message rather than in the URL so the token stays out of proxy logs
+      socket.send(JSON.stringify({ type: 'auth', token: api.accessToken }));
+      this.lastMessageAt = Date.now();
+      this.startHeartbeat();
+    };
+    socket.onmessage = (event) => {
+      this.lastMessageAt = Date.now();
+      let message;
+      try {
+        message = JSON.parse(event.data);
+      } catch {
+        return;
+      }
+      if (message.type === 'auth.ok') {
+        this.attempt = 0;
+        // Events sent while we were disconnected are gone; catch up by refetching
+        if (this.connectedBefore) Object.values(REALTIME_QUERIES).forEach(key => invalidateQueries(key));
+        this.connectedBefore = true;
+      } else if (message.type !== 'pong') {
+        applyRealtimeEvent(message);
+      }
+    };
+    socket.onclose = (event) => {
+      if (this.socket !== socket) return;
+      this.teardown();
+      if (!this.active) return;
+      if (event.code === REALTIME_AUTH_FAILED) {
+        // A failed refresh means the session is over; the ApiClient handles that on the next request
+        api.refreshAccessToken().then(ok => (ok ? this.scheduleReconnect() : this.stop()));
+      } else {
+        this.scheduleReconnect();
+      }
+    };
+  }
+
+  startHeartbeat() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = setInterval(() => {
+      if (Date.now() - this.lastMessageAt > this.staleMs) {
+        this.socket?.close();
+      } else if (this.socket?.readyState === WebSocket.OPEN) {
+        this.socket.send(JSON.stringify({ type: 'ping' }));
+      }
+    }, this.heartbeatMs);
+  }
+
+  // Exponential backoff with full jitter, like fetchWithRetry
+  scheduleReconnect() {
+    const backoff = Math.min(RETRY_BASE_DELAY_MS * 2 ** this.attempt, REALTIME_MAX_BACKOFF_MS);
+    this.attempt++;
+    this.reconnectTimer = setTimeout(() => this.connect(), Math.random() * backoff + backoff / 2);
+  }
+
+  teardown() {
+    clearInterval(this.heartbeatTimer);
+    const socket = this.socket;
+    this.socket = null;
+    if (socket) {
+      socket.onopen = socket.onmessage = socket.onclose = null;
+      if (socket.readyState <= WebSocket.OPEN) socket.close();
+    }
+  }
+}
+
+const realtime = new RealtimeClient();
+
+// --- Routing ---
+// Minimal History API router: paths map to views, `:param` segments become route params
+const ROUTES = [
+  { name: 'dashboard', path: '/dashboard' },
+  { name: 'chat', path: '/chat', permission: 'chat' },
+  { name: 'chat', path: '/chat/:sessionId', permission: 'chat' },
+  { name: 'team', path: '/team', permission: 'teams.view' },
+  { name: 'problems', path: '/problems', permission: 'problems.view_own' },
+  { name: 'search', path: '/search', permission: 'search' },
+  { name: 'journal', path: '/journal', permission: 'journal' },
+  { name: 'login', path: '/login', public: true },
+  { name: 'register', path: '/register', public: true },
+  { name: 'forgot-password', path: '/forgot-password', public: true },
+  { name: 'reset-password', path: '/reset-password', public: true },
+];
+
+const matchRoute = (pathname) => {
+  const segments = pathname.split('/').filter(Boolean);
+  for (const route of ROUTES) {
+    const routeSegments = route.path.split('/').filter(Boolean);
+    if (routeSegments.length !== segments.length) continue;
+    const params = {};
+    const matches = routeSegments.every((segment, i) => {
+      if (segment.startsWith(':')) {
+        // A malformed escape such as "%E0%A4" makes the path unroutable instead of crashing the app
+        try {
+          params[segment.slice(1)] = decodeURIComponent(segments[i]);
+          return true;
+        } catch {
+          return false;
+        }
+      }
+      return segment === segments[i];
+    });
+    if (matches) return { ...route, params };
+  }
+  return null;
+};
+
+const currentLocation = () => `${window.location.pathname}${window.location.search}`;
+
+// Returns `next` as a path on this origin, or null. Resolving it as a URL catches paths such as
+// "/\evil.com" that look relative but which browsers treat as another host.
+const sameOriginPath = (next) => {
+  if (!next?.startsWith('/')) return null;
+  try {
+    const url = new URL(next, window.location.origin);
+    return url.origin === window.location.origin ? `${url.pathname}${url.search}${url.hash}` : null;
+  } catch {
+    return null;
+  }
+};
+
+// Pushes (or replaces) a history entry and lets useLocation subscribers re-render
+const navigate = (to, { replace = false } = {}) => {
+  if (to === currentLocation()) return;
+  window.history[replace ? 'replaceState' : 'pushState'](null, '', to);
+  window.dispatchEvent(new PopStateEvent('popstate'));
+};
+
+const useLocation = () => {
+  const [location, setLocation] = useState(() => ({
+    pathname: window.location.pathname,
+    search: window.location.search,
+  }));
+
+  useEffect(() => {
+    const handlePopState = () => setLocation({
+      pathname: window.location.pathname,
+      search: window.location.search,
+    });
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  return location;
+};
+
+// Backend ids are numeric; keep them as numbers so they compare equal to API data
+const parseSessionId = (raw) => (raw && /^\d+$/.test(raw) ? Number(raw) : raw || null);
+
+
+// --- Components ---
+
+// --- Dialog ---
+const FOCUSABLE_SELECTOR = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+// Modal shell: keeps Tab inside the panel, closes on Escape when `onClose` is given, and returns
+// focus to whatever opened it. Initial focus goes to an autoFocus child or the first control.
+const Dialog = ({ labelledBy, describedBy, onClose, role = 'dialog', className = '', overlayClassName = 'bg-opacity-50', children }) => {
+  const panelRef = useRef(null);
+  const onCloseRef = useRef(onClose);
+  onCloseRef.current = onClose;
+
+  useEffect(() => {
+    const opener = document.activeElement;
+    const panel = panelRef.current;
+    if (!panel.contains(document.activeElement)) {
+      (panel.querySelector(FOCUSABLE_SELECTOR) || panel).focus();
+    }
+    return () => opener?.focus?.();
+  }, []);
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape' && onCloseRef.current) {
+      e.stopPropagation();
+      onCloseRef.current();
+      return;
+    }
+    if (e.key !== 'Tab') return;
+    const focusable = [...panelRef.current.querySelectorAll(FOCUSABLE_SELECTOR)];
+    if (focusable.length === 0) {
+      e.preventDefault();
+      return;
+    }
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (e.shiftKey && document.activeElement === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  };
+
+  return (
+    <div className={`fixed inset-0 bg-black ${overlayClassName} flex items-center justify-center z-50`}>
+      <div
+        ref={panelRef}
+        role={role}
+        aria-modal="true"
+        aria-labelledby={labelledBy}
+        aria-describedby={describedBy}
+        tabIndex={-1}
+        onKeyDown={handleKeyDown}
+        className={`bg-white rounded-lg shadow-xl focus:outline-none ${className}`}
+      >
+        {children}
+      </div>
+    </div>
+  );
+};
+
+// Popovers (export, voice settings): Escape or a click elsewhere closes them, and Escape
+// hands focus back to the trigger
+const useDropdown = () => {
+  const [isOpen, setIsOpen] = useState(false);
+  const containerRef = useRef(null);
+  const triggerRef = useRef(null);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    const handlePointerDown = (e) => {
+      if (!containerRef.current?.contains(e.target)) setIsOpen(false);
+    };
+    document.addEventListener('mousedown', handlePointerDown);
+    return () => document.removeEventListener('mousedown', handlePointerDown);
+  }, [isOpen]);
+
+  const handleKeyDown = (e) => {
+    if (e.key !== 'Escape' || !isOpen) return;
+    e.stopPropagation();
+    setIsOpen(false);
+    triggerRef.current?.focus();
+  };
+
+  return { isOpen, setIsOpen, containerRef, triggerRef, handleKeyDown };
+};
+
+// Arrow keys, Home and End move focus between the `selector` matches inside the element
+const handleArrowNavigation = (e, selector) => {
+  const items = [...e.currentTarget.querySelectorAll(selector)];
+  const index = items.indexOf(document.activeElement);
+  if (index === -1) return;
+  const next = { ArrowDown: index + 1, ArrowUp: index - 1, Home: 0, End: items.length - 1 }[e.key];
+  if (next == null) return;
+  e.preventDefault();
+  items[Math.max(0, Math.min(items.length - 1, next))].focus();
+};
+
+// --- Auth Forms ---
+const PASSWORD_MIN_LENGTH = 8;
+const USERNAME_PATTERN = /^[\w.@+-]{3,150}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PASSWORD_STRENGTH_COLORS = ['bg-red-500', 'bg-orange-500', 'bg-yellow-500', 'bg-lime-500', 'bg-green-600'];
+
+// 0-4, from length and character variety
+const scorePassword = (password) => {
+  if (!password) return 0;
+  const variety = [/[a-z]/, /[A-Z]/, /\d/, /[^A-Za-z0-9]/].filter(re => re.test(password)).length;
+  let score = 0;
+  if (password.length >= PASSWORD_MIN_LENGTH) score++;
+  if (password.length >= 12) score++;
+  if (variety >= 2) score++;
+  if (variety >= 3) score++;
+  return /^\d+$/.test(password) ? Math.min(score, 1) : score;
+};
+
+// Mirrors the backend's Django password validators closely enough to catch the obvious cases early
+const validatePassword = (password, { username } = {}) => {
+  if (password.length < PASSWORD_MIN_LENGTH) return translate('auth.validation.passwordLength', { min: PASSWORD_MIN_LENGTH });
+  if (/^\d+$/.test(password)) return translate('auth.validation.passwordNumeric');
+  if (username && password.toLowerCase().includes(username.toLowerCase())) return translate('auth.validation.passwordSimilar');
+  return null;
+};
+
+const validateRegistration = ({ username, email, password, confirmPassword }) => {
+  const errors = {};
+  if (!USERNAME_PATTERN.test(username)) {
+    errors.username = translate('auth.validation.username');
+  }
+  if (!EMAIL_PATTERN.test(email)) errors.email = translate('auth.validation.email');
+  const passwordError = validatePassword(password, { username });
+  if (passwordError) errors.password = passwordError;
+  if (password !== confirmPassword) errors.confirmPassword = translate('auth.validation.passwordMismatch');
+  return errors;
+};
+
+// DRF validation errors are { field: ["message", ...], non_field_errors: [...] }
+const parseFieldErrors = (error) => {
+  const data = error?.data;
+  if (error?.status !== 400 || !data || typeof data !== 'object') return {};
+  return Object.fromEntries(
+    Object.entries(data)
+      .filter(([, messages]) => Array.isArray(messages) || typeof messages === 'string')
+      .map(([field, messages]) => [field, [].concat(messages).join(' ')])
+  );
+};
+
+const formatWait = (seconds) => (seconds >= 120
+  ? translate('auth.wait.minutes', { count: Math.ceil(seconds / 60) })
+  : translate('auth.wait.seconds', { count: seconds }));
+
+// One message per failure cause, so "wrong password" isn't shown for an outage
+const describeAuthError = (error, fallback) => {
+  if (!error?.status) {
+    return error?.name === 'TimeoutError'
+      ? translate('auth.error.timeout')
+      : translate('auth.error.network');
+  }
+  if (error.status === 429) {
+    return error.retryAfter
+      ? translate('auth.error.rateLimitedFor', { wait: formatWait(error.retryAfter) })
+      : translate('auth.error.rateLimited');
+  }
+  if (error.status === 403 || error.status === 423) {
+    return error.data?.detail || translate('auth.error.locked');
+  }
+  if (error.status >= 500) return translate('auth.error.server');
+  return fallback;
+};
+
+const AuthLayout = ({ title, subtitle, children }) => (
+  <div className="relative min-h-screen flex items-center justify-center bg-gray-50">
+    <div className="absolute top-4 end-4">
+      <LanguageSwitcher />
+    </div>
+    <div className="max-w-md w-full space-y-8 p-8 bg-white rounded-xl shadow-lg border border-gray-100">
+      <div className="text-center">
+        <h2 className="mt-6 text-3xl font-extrabold text-gray-900">{title}</h2>
+        {subtitle && <p className="mt-2 text-sm text-gray-600">{subtitle}</p>}
+      </div>
+      {children}
+    </div>
+  </div>
+);
+
+// The placeholder doubles as the accessible name since the forms have no visible labels
+const AuthField = ({ error, ...props }) => {
+  const errorId = useId();
+  return (
+    <div>
+      <input
+        aria-label={props.placeholder}
+        {...props}
+        aria-invalid={!!error}
+        aria-describedby={error ? errorId : undefined}
+        className={`appearance-none rounded-md relative block w-full px-3 py-2 border placeholder-gray-500 text-gray-900 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm ${error ? 'border-red-400' : 'border-gray-300'}`}
+      />
+      {error && <p id={errorId} className="mt-1 text-xs text-red-500">{error}</p>}
+    </div>
+  );
+};
+
+const PasswordStrengthMeter = ({ password }) => {
+  const { t } = useI18n();
+  if (!password) return null;
+  const score = scorePassword(password);
+  return (
+    <div className="flex items-center gap-2">
+      <div className="flex-1 flex gap-1">
+        {PASSWORD_STRENGTH_COLORS.slice(1).map((_, i) => (
+          <div key={i} className={`h-1.5 flex-1 rounded ${i < score ? PASSWORD_STRENGTH_COLORS[score] : 'bg-gray-200'}`} />
+        ))}
+      </div>
+      <span className="text-xs text-gray-500 w-16 text-end">{t(`auth.strength.${score}`)}</span>
+    </div>
+  );
+};
+
+// Button stays disabled while a server-imposed rate limit runs out
+const useRateLimitCooldown = () => {
+  const [until, setUntil] = useState(0);
+  useEffect(() => {
+    if (!until) return;
+    const timer = setTimeout(() => setUntil(0), Math.max(until - Date.now(), 0));
+    return () => clearTimeout(timer);
+  }, [until]);
+  const start = (error) => {
+    if (error?.status === 429) setUntil(Date.now() + (error.retryAfter || 60) * 1000);
+  };
+  return [!!until, start];
+};
+
+const signIn = async (username, password) => {
+  const data = await api.request('/login/', {
+    method: 'POST',
+    anonymous: true,
+    body: JSON.stringify({ username, password }),
+  });
+  // The view returns { access, refresh }; in cookie mode the refresh token arrives as a cookie
+  api.startSession(data.access, data.refresh);
+};
+
+const Login = ({ onLogin }) => {
+  const { t } = useI18n();
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [coolingDown, startCooldown] = useRateLimitCooldown();
+  const resetDone = new URLSearchParams(window.location.search).get('reset') === 'done';
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+    try {
+      await signIn(username, password);
+      onLogin();
+    } catch (err) {
+      startCooldown(err);
+      setError(describeAuthError(err, t('auth.error.credentials')));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <AuthLayout title={t('auth.login.title')} subtitle={t('auth.login.subtitle')}>
+      {resetDone && (
+        <p className="p-3 rounded-md bg-green-50 border border-green-200 text-green-700 text-sm">
+          {t('auth.login.resetDone')}
+        </p>
+      )}
+      <form className="mt-8 space-y-6" onSubmit={handleSubmit} noValidate>
+        <div className="space-y-2">
+          <AuthField
+            type="text"
+            required
+            autoComplete="username"
+            placeholder={t('auth.username')}
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+          />
+          <AuthField
+            type="password"
+            required
+            autoComplete="current-password"
+            placeholder={t('auth.password')}
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+          />
+        </div>
+        {error && <p className="text-red-500 text-sm" role="alert">{error}</p>}
+        <div>
+          <button
+            type="submit"
+            disabled={loading || coolingDown || !username || !password}
+            className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50"
+          >
+            {loading ? t('auth.login.submitting') : t('auth.login.submit')}
+          </button>
+        </div>
+        <div className="flex justify-between">
+          <button type="button" onClick={() => navigate('/forgot-password')} className="text-sm text-gray-500 hover:text-gray-700">
+            {t('auth.login.forgot')}
+          </button>
+          <button type="button" onClick={() => navigate(`/register${window.location.search}`)} className="text-sm text-indigo-600 hover:text-indigo-500">
+            {t('auth.login.toRegister')}
+          </button>
+        </div>
+      </form>
+    </AuthLayout>
+  );
+};
+
+const Register = ({ onLogin }) => {
+  const { t } = useI18n();
+  const [formData, setFormData] = useState({ username: '', email: '', password: '', confirmPassword: '' });
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [coolingDown, startCooldown] = useRateLimitCooldown();
+
+  const updateField = (field) => (e) => {
+    setFormData({ ...formData, [field]: e.target.value });
+    setFieldErrors(({ [field]: _cleared, ...rest }) => rest);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const errors = validateRegistration(formData);
+    setFieldErrors(errors);
+    if (Object.keys(errors).length) return;
+
+    setLoading(true);
+    setError('');
+    const { confirmPassword: _confirm, ...payload } = formData;
+    try {
+      const data = await api.request('/register/', {
+        method: 'POST',
+        anonymous: true,
+        body: JSON.stringify(payload),
+      });
+      // Some backends hand out tokens on registration; otherwise sign in with the new credentials
+      if (data?.access) api.startSession(data.access, data.refresh);
+      else await signIn(payload.username, payload.password);
+      onLogin();
+    } catch (err) {
+      startCooldown(err);
+      const { non_field_errors: nonField, detail, ...serverErrors } = parseFieldErrors(err);
+      setFieldErrors(serverErrors);
+      setError(nonField || detail || (Object.keys(serverErrors).length ? '' : describeAuthError(err, err.message || t('auth.register.failed'))));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <AuthLayout title={t('auth.register.title')}>
+      <form className="mt-8 space-y-6" onSubmit={handleSubmit} noValidate>
+        <div className="space-y-2">
+          <AuthField
+            type="text"
+            required
+            autoComplete="username"
+            placeholder={t('auth.username')}
+            value={formData.username}
+            onChange={updateField('username')}
+            error={fieldErrors.username}
+          />
+          <AuthField
+            type="email"
+            required
+            autoComplete="email"
+            placeholder={t('auth.email')}
+            value={formData.email}
+            onChange={updateField('email')}
+            error={fieldErrors.email}
+          />
+          <AuthField
+            type="password"
+            required
+            autoComplete="new-password"
+            placeholder={t('auth.password')}
+            value={formData.password}
+            onChange={updateField('password')}
+            error={fieldErrors.password}
+          />
+          <PasswordStrengthMeter password={formData.password} />
+          <AuthField
+            type="password"
+            required
+            autoComplete="new-password"
+            placeholder={t('auth.confirmPassword')}
+            value={formData.confirmPassword}
+            onChange={updateField('confirmPassword')}
+            error={fieldErrors.confirmPassword}
+          />
+        </div>
+        {error && <p className="text-red-500 text-sm" role="alert">{error}</p>}
+        <button
+          type="submit"
+          disabled={loading || coolingDown}
+          className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-green-600 hover:bg-green-700 focus:outline-none disabled:opacity-50"
+        >
+          {loading ? t('auth.register.submitting') : t('auth.register.submit')}
+        </button>
+        <div className="text-center">
+          <button type="button" onClick={() => navigate(`/login${window.location.search}`)} className="text-sm text-indigo-600 hover:text-indigo-500">
+            {t('auth.register.toLogin')}
+          </button>
+        </div>
+      </form>
+    </AuthLayout>
+  );
+};
+
+const ForgotPassword = () => {
+  const { t } = useI18n();
+  const [email, setEmail] = useState('');
+  const [sent, setSent] = useState(false);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [coolingDown, startCooldown] = useRateLimitCooldown();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!EMAIL_PATTERN.test(email)) {
+      setError(t('auth.validation.email'));
+      return;
+    }
+    setLoading(true);
+    setError('');
+    try {
+      await api.request('/password-reset/', {
+        method: 'POST',
+        anonymous: true,
+        body: JSON.stringify({ email }),
+      });
+      setSent(true);
+    } catch (err) {
+      startCooldown(err);
+      setError(parseFieldErrors(err).email || describeAuthError(err, err.message || t('auth.forgot.failed')));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <AuthLayout title={t('auth.forgot.title')} subtitle={t('auth.forgot.subtitle')}>
+      {sent ? (
+        // Same message whether or not the address is registered, so accounts can't be probed
+        <p className="p-3 rounded-md bg-green-50 border border-green-200 text-green-700 text-sm">
+          {t('auth.forgot.sent', { email })}
+        </p>
+      ) : (
+        <form className="space-y-6" onSubmit={handleSubmit} noValidate>
+          <AuthField
+            type="email"
+            required
+            autoComplete="email"
+            placeholder={t('auth.email')}
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+          />
+          {error && <p className="text-red-500 text-sm" role="alert">{error}</p>}
+          <button
+            type="submit"
+            disabled={loading || coolingDown}
+            className="w-full flex justify-center py-2 px-4 text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+          >
+            {loading ? t('auth.forgot.submitting') : t('auth.forgot.submit')}
+          </button>
+        </form>
+      )}
+      <div className="text-center">
+        <button type="button" onClick={() => navigate('/login')} className="text-sm text-indigo-600 hover:text-indigo-500">
+          {t('auth.backToSignIn')}
+        </button>
+      </div>
+    </AuthLayout>
+  );
+};
+
+// Reached from the emailed link: /reset-password?uid=<uidb64>&token=<token>
+const ResetPassword = () => {
+  const { t } = useI18n();
+  const params = new URLSearchParams(window.location.search);
+  const uid = params.get('uid');
+  const token = params.get('token');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const errors = {};
+    const passwordError = validatePassword(password);
+    if (passwordError) errors.new_password = passwordError;
+    if (password !== confirmPassword) errors.confirmPassword = t('auth.validation.passwordMismatch');
+    setFieldErrors(errors);
+    if (Object.keys(errors).length) return;
+
+    setLoading(true);
+    setError('');
+    try {
+      await api.request('/password-reset/confirm/', {
+        method: 'POST',
+        anonymous: true,
+        body: JSON.stringify({ uid, token, new_password: password }),
+      });
+      navigate('/login?reset=done', { replace: true });
+    } catch (err) {
+      const { token: tokenError, uid: uidError, non_field_errors: nonField, ...serverErrors } = parseFieldErrors(err);
+      setFieldErrors(serverErrors);
+      setError(
+        tokenError || uidError
+          ? t('auth.reset.expired')
+          : nonField || (Object.keys(serverErrors).length ? '' : describeAuthError(err, err.message || t('auth.reset.failed')))
+      );
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!uid || !token) {
+    return (
+      <AuthLayout title={t('auth.forgot.title')}>
+        <p className="text-sm text-gray-600">{t('auth.reset.incomplete')}</p>
+        <button onClick={() => navigate('/forgot-password')} className="text-sm text-indigo-600 hover:text-indigo-500">
+          {t('auth.reset.requestNew')}
+        </button>
+      </AuthLayout>
+    );
+  }
+
+  return (
+    <AuthLayout title={t('auth.reset.title')}>
+      <form className="space-y-6" onSubmit={handleSubmit} noValidate>
+        <div className="space-y-2">
+          <AuthField
+            type="password"
+            required
+            autoComplete="new-password"
+            placeholder={t('auth.reset.newPassword')}
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            error={fieldErrors.new_password}
+          />
+          <PasswordStrengthMeter password={password} />
+          <AuthField
+            type="password"
+            required
+            autoComplete="new-password"
+            placeholder={t('auth.reset.confirmPassword')}
+            value={confirmPassword}
+            onChange={(e) => setConfirmPassword(e.target.value)}
+            error={fieldErrors.confirmPassword}
+          />
+        </div>
+        {error && (
+          <p className="text-red-500 text-sm" role="alert">
+            {error}{' '}
+            {error === t('auth.reset.expired') && (
+              <button type="button" onClick={() => navigate('/forgot-password')} className="underline">{t('auth.reset.requestNew')}</button>
+            )}
+          </p>
+        )}
+        <button
+          type="submit"
+          disabled={loading}
+          className="w-full flex justify-center py-2 px-4 text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+        >
+          {loading ? t('auth.reset.submitting') : t('auth.reset.submit')}
+        </button>
+      </form>
+    </AuthLayout>
+  );
+};
+
+// --- Offline Outbox ---
+// Outgoing chat prompts are persisted in IndexedDB until the server has them, so a dropped
+// connection never loses what the user typed. Entries are { id, userId, sessionId, content, mode,
+// status: 'pending' | 'failed' | 'rejected', createdAt }; sent entries are deleted. 'failed'
+// entries are retried on the next flush; 'rejected' ones (the server answered 4xx, e.g. the
+// session is gone) wait for the user to retry them by hand.
+const OUTBOX_DB_NAME = 'therapy-ai';
+const OUTBOX_STORE = 'outbox';
+
+let outboxDbPromise = null;
+const openOutboxDb = () => {
+  if (!outboxDbPromise) {
+    outboxDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(OUTBOX_DB_NAME, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(OUTBOX_STORE, { keyPath: 'id' });
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return outboxDbPromise;
+};
+
+const outboxRequest = async (mode, operation) => {
+  const db = await openOutboxDb();
+  return new Promise((resolve, reject) => {
+    const request = operation(db.transaction(OUTBOX_STORE, mode).objectStore(OUTBOX_STORE));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+const saveOutboxEntry = (entry) => outboxRequest('readwrite', store => store.put(entry));
+const deleteOutboxEntry = (id) => outboxRequest('readwrite', store => store.delete(id));
+// Only the signed-in user's entries, oldest first
+const getOutboxEntries = async (userId = sessionUserId()) => {
+  const entries = await outboxRequest('readonly', store => store.getAll());
+  return entries
+    .filter(entry => entry.userId === userId)
+    .sort((a, b) => a.createdAt - b.createdAt);
+};
+
+// Entries without a userId predate per-user scoping and can't be attributed, so they go too
+registerUserDataCleaner(async (userId) => {
+  if (typeof indexedDB === 'undefined') return;
+  const entries = await outboxRequest('readonly', store => store.getAll());
+  for (const entry of entries) {
+    if (entry.userId === userId || entry.userId == null) await deleteOutboxEntry(entry.id);
+  }
+});
+
+// `replaceLast` asks the server to drop the session's last prompt/reply pair first
+// (continue_chat's `replace_last: true`). Servers that don't know the flag append instead,
+// so ChatInterface reloads the transcript once such a reply is in.
+// (used by message editing and regenerate)
+const createOutboxEntry = (sessionId, content, mode, { replaceLast = false } = {}) => ({
+  id: `outbox-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+  userId: sessionUserId(),
+  sessionId,
+  content,
+  mode,
+  replaceLast,
+  status: 'pending',
+  createdAt: Date.now(),
+});
+
+// Views subscribe to 'update' events ({ entry, reply, background }) to mirror entry states
+const outboxEvents = new EventTarget();
+const inFlightOutbox = new Set();
+
+// Persisting is best effort: a browser without IndexedDB should still be able to chat.
+// A send that settles after its user signed out isn't written back.
+const persistOutboxEntry = async (entry) => {
+  if (entry.userId !== sessionUserId()) return;
+  try {
+    if (entry.status === 'sent') {
+      await deleteOutboxEntry(entry.id);
+    } else {
+      await saveOutboxEntry(entry);
+    }
+  } catch (e) {
+    console.error("Failed to persist outbox entry", e);
+  }
+};
+
+// Client errors won't go away by resending; network errors, timeouts and 5xx might
+const isPermanentSendError = (error) => error?.status >= 400 && error.status < 500 && ![408, 429].includes(error.status);
+
+// Sends one entry through continue_chat, streaming into onToken when given.
+// Resolves with the reply text; rejects (after marking the entry failed) on errors.
+const sendOutboxEntry = async (entry, { onToken, signal, background = false } = {}) => {
+  if (inFlightOutbox.has(entry.id)) return null;
+  inFlightOutbox.add(entry.id);
+
+  const setStatus = async (status, detail = {}) => {
+    entry = { ...entry, status };
+    await persistOutboxEntry(entry);
+    outboxEvents.dispatchEvent(new CustomEvent('update', { detail: { entry, background, ...detail } }));
+  };
+
+  // Once the server has answered it has the prompt, so a failure while the reply streams
+  // must not leave the entry to be sent (and stored) a second time
+  let delivered = false;
+
+  try {
+    await setStatus('pending');
+    const reply = await api.stream('/ChatData/continue_chat/', {
+      method: 'POST',
+      body: JSON.stringify({
+        ChatID: entry.sessionId,
+        prompt: entry.content,
+        mode: entry.mode,
+        // Lets the assistant answer in the interface language
+        locale: activeLocale,
+        ...(entry.replaceLast && { replace_last: true }),
+      }),
+      signal,
+      onResponse: () => { delivered = true; },
+    }, onToken);
+    await setStatus('sent', { reply });
+    return reply;
+  } catch (error) {
+    // A user-stopped reply still means the prompt reached the server
+    const reached = delivered || isAbortError(error);
+    await setStatus(reached ? 'sent' : isPermanentSendError(error) ? 'rejected' : 'failed');
+    throw error;
+  } finally {
+    inFlightOutbox.delete(entry.id);
+  }
+};
+
+// Sends everything still queued, oldest first. A rejected entry is skipped so it can't hold
+// up the rest; any other failure stops the flush so prompts within a session keep their order.
+const flushOutbox = async () => {
+  if (!navigator.onLine) return;
+  const entries = await getOutboxEntries().catch(() => []);
+  for (const entry of entries.filter(entry => entry.status !== 'rejected')) {
+    try {
+      await sendOutboxEntry(entry, { background: true });
+    } catch (error) {
+      if (!isPermanentSendError(error)) return;
+    }
+  }
+};
+
+const useOnlineStatus = () => {
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
+
+  useEffect(() => {
+    const update = () => setIsOnline(navigator.onLine);
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, []);
+
+  return isOnline;
+};
+
+const OfflineBanner = () => {
+  const { t } = useI18n();
+  const isOnline = useOnlineStatus();
+  if (isOnline) return null;
+  return (
+    <div className="fixed top-0 inset-x-0 z-50 flex items-center justify-center gap-2 bg-amber-500 text-white text-sm py-1.5 shadow">
+      <WifiOff size={16} /> {t('offline.banner')}
+    </div>
+  );
+};
+
+// --- Chat History ---
+const HISTORY_PAGE_SIZE = 50;
+
+let messageKeySeq = 0;
+// Messages need stable keys so the virtualised list can keep measured heights across prepends
+const makeMessage = (role, content, id) => ({ id: id ?? `local-${++messageKeySeq}`, role, content });
+
+// Backend uses 'message', Frontend UI expects 'content'; legacy data may still carry 'content'.
+// Messages without a server id get one derived from their position so search results can link to them.
+const formatHistoryMessage = (msg, fallbackId) => ({
+  ...makeMessage(msg.role, msg.message || msg.content || '', msg.id ?? fallbackId),
+  createdAt: msg.created_at || msg.timestamp || null,
+  mode: msg.mode || null,
+});
+
+// Loads one page of a session's transcript. The per-session endpoint is cursor paginated
+// (DRF style): `results` are chronological and `next` is the URL of the page of older messages.
+// Backends without it get the legacy behaviour of scanning the full /ChatData/ collection.
+// Whether the backend has the paged endpoint is learned from the first answer: a 404 before it
+// has ever worked means the endpoint is missing, a 404 after that means the session is gone.
+let pagedHistorySupported = null;
+
+const fetchHistoryPage = async (sessionId, cursorUrl, signal) => {
+  if (pagedHistorySupported !== false || cursorUrl) {
+    try {
+      const endpoint = cursorUrl || `/ChatData/${sessionId}/messages/?limit=${HISTORY_PAGE_SIZE}`;
+      const data = await api.request(endpoint, { signal });
+      pagedHistorySupported = true;
+      return {
+        messages: (data.results || []).map(msg => formatHistoryMessage(msg)),
+        olderCursor: data.next || null,
+      };
+    } catch (error) {
+      if (error.status !== 404 || pagedHistorySupported || cursorUrl) throw error;
+      pagedHistorySupported = false;
+    }
+  }
+
+  const allHistories = await api.request('/ChatData/', { signal });
+  const history = allHistories.find(h => h.chat === sessionId);
+  return {
+    messages: history?.content
+      ? history.content.map((msg, i) => formatHistoryMessage(msg, `${sessionId}:${i}`))
+      : [],
+    olderCursor: null,
+  };
+};
+
+// Follows the cursor back to the first message of a session
+const fetchFullHistory = async (sessionId, signal) => {
+  let page = await fetchHistoryPage(sessionId, null, signal);
+  let messages = page.messages;
+  while (page.olderCursor) {
+    page = await fetchHistoryPage(sessionId, page.olderCursor, signal);
+    messages = [...page.messages, ...messages];
+  }
+  return messages;
+};
+
+// --- Export / Import ---
+const EXPORT_FORMAT = 'therapy-ai-chat-export';
+const EXPORT_VERSION = 1;
+const EXPORT_ROLES = ['user', 'assistant', 'system'];
+const roleLabel = (role) => (EXPORT_ROLES.includes(role) ? translate(`export.role.${role}`) : role);
+
+const toExportSession = (session, messages) => ({
+  title: session.title,
+  AiMode: session.AiMode,
+  created_at: session.created_at || null,
+  last_updated: session.last_updated || null,
+  messages: messages.map(msg => ({ role: msg.role, content: msg.content, timestamp: msg.createdAt || null })),
+});
+
+// Transcripts are fetched a few at a time so exporting many sessions doesn't flood the backend
+const EXPORT_CONCURRENCY = 3;
+
+const loadExportSessions = async (sessions) => {
+  const exported = new Array(sessions.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < sessions.length) {
+      const index = next++;
+      exported[index] = toExportSession(sessions[index], await fetchFullHistory(sessions[index].id));
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(EXPORT_CONCURRENCY, sessions.length) }, worker));
+  return exported;
+};
+
+const formatExportDate = (value) => (value ? formatDateTime(value) : translate('export.unknownDate'));
+
+const sessionsToMarkdown = (exportSessions) => exportSessions.map(session => [
+  `# ${session.title}`,
+  `_${translate('export.meta', { mode: session.AiMode, date: formatExportDate(session.last_updated) })}_`,
+  ...session.messages.map(msg => `**${roleLabel(msg.role)}:**\n\n${msg.content}`),
+].join('\n\n')).join('\n\n---\n\n');
+
+const sessionsToJson = (exportSessions) => JSON.stringify({
+  format: EXPORT_FORMAT,
+  version: EXPORT_VERSION,
+  exported_at: new Date().toISOString(),
+  sessions: exportSessions,
+}, null, 2);
+
+const escapeHtml = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Popup blockers only allow window.open() during the click itself, so the window is opened
+// before the transcripts are fetched and filled in afterwards
+const openPrintWindow = () => {
+  const printWindow = window.open('', '_blank');
+  if (!printWindow) throw new Error(translate('export.popupBlocked'));
+  printWindow.document.write(`<!doctype html><html lang="${activeLocale}" dir="${LOCALES[activeLocale].dir}"><body><p>${escapeHtml(translate('export.busy'))}</p></body></html>`);
+  return printWindow;
+};
+
+// Writes a print-ready transcript into `printWindow`; the print dialog offers "Save as PDF"
+const printSessions = (printWindow, exportSessions) => {
+  const body = exportSessions.map(session => `
+    <section>
+      <h1>${escapeHtml(session.title)}</h1>
+      <p class="meta">${escapeHtml(translate('export.meta', { mode: session.AiMode, date: formatExportDate(session.last_updated) }))}</p>
+      ${session.messages.map(msg => `
+        <div class="msg ${escapeHtml(msg.role)}">
+          <strong>${escapeHtml(roleLabel(msg.role))}</strong>
+          <p>${escapeHtml(msg.content)}</p>
+        </div>`).join('')}
+    </section>`).join('');
+
+  printWindow.document.open();
+  printWindow.document.write(`<!doctype html><html lang="${activeLocale}" dir="${LOCALES[activeLocale].dir}"><head><meta charset="UTF-8"><title>${escapeHtml(translate('export.printTitle'))}</title>
+    <style>
+      body { font-family: -apple-system, 'Segoe UI', Roboto, sans-serif; margin: 2rem; color: #111827; }
+      section { page-break-after: always; }
+      h1 { font-size: 1.4rem; margin-bottom: 0.25rem; }
+      .meta { color: #6b7280; font-size: 0.85rem; }
+      .msg { margin: 1rem 0; padding: 0.75rem; border-radius: 0.5rem; background: #f3f4f6; }
+      .msg.user { background: #eef2ff; }
+      .msg p { white-space: pre-wrap; margin: 0.25rem 0 0; }
+    </style></head><body>${body}</body></html>`);
+  printWindow.document.close();
+  printWindow.focus();
+  printWindow.print();
+};
+
+const downloadFile = (filename, content, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+const exportFilename = (sessions, extension) => {
+  const base = sessions.length === 1
+    ? sessions[0].title.replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-|-$/g, '') || 'chat'
+    : `chats-${new Date().toISOString().slice(0, 10)}`;
+  return `${base}.${extension}`;
+};
+
+// format: 'markdown' | 'pdf' | 'json'. Must be called straight from the click handler,
+// before anything is awaited, for the PDF window to get past popup blockers.
+const exportSessions = async (sessions, format) => {
+  const printWindow = format === 'pdf' ? openPrintWindow() : null;
+  let exported;
+  try {
+    exported = await loadExportSessions(sessions);
+  } catch (error) {
+    printWindow?.close();
+    throw error;
+  }
+  if (format === 'pdf') return printSessions(printWindow, exported);
+  if (format === 'markdown') {
+    return downloadFile(exportFilename(sessions, 'md'), sessionsToMarkdown(exported), 'text/markdown');
+  }
+  return downloadFile(exportFilename(sessions, 'json'), sessionsToJson(exported), 'application/json');
+};
+
+// Returns a list of human-readable problems with an import file (empty when valid)
+const validateChatExport = (data) => {
+  if (!data || typeof data !== 'object') return [translate('import.notObject')];
+  const errors = [];
+  if (data.format !== EXPORT_FORMAT) errors.push(translate('import.badFormat', { format: EXPORT_FORMAT }));
+  if (data.version !== EXPORT_VERSION) errors.push(translate('import.badVersion', { version: data.version }));
+  if (!Array.isArray(data.sessions)) return [...errors, translate('import.sessionsNotArray')];
+
+  data.sessions.forEach((session, i) => {
+    const where = translate('import.session', { number: formatNumber(i + 1) });
+    if (typeof session?.title !== 'string' || !session.title.trim()) errors.push(translate('import.missingTitle', { where }));
+    if (typeof session?.AiMode !== 'string' || !session.AiMode) errors.push(translate('import.missingMode', { where }));
+    if (!Array.isArray(session?.messages)) {
+      errors.push(translate('import.messagesNotArray', { where }));
+      return;
+    }
+    session.messages.forEach((msg, j) => {
+      const at = translate('import.message', { session: where, number: formatNumber(j + 1) });
+      if (!EXPORT_ROLES.includes(msg?.role)) errors.push(translate('import.invalidRole', { where: at }));
+      if (typeof msg?.content !== 'string') errors.push(translate('import.contentNotText', { where: at }));
+    });
+  });
+  return errors;
+};
+
+// Re-creates each session through /Chats/ and stores its transcript in ChatData
+const importChatExport = async (data) => {
+  const errors = validateChatExport(data);
+  if (errors.length > 0) {
+    throw new Error(translate('export.invalidFile', { details: `${errors.slice(0, 3).join('; ')}${errors.length > 3 ? '...' : ''}` }));
+  }
+
+  for (const session of data.sessions) {
+    const created = await api.request('/Chats/', {
+      method: 'POST',
+      body: JSON.stringify({ title: session.title, AiMode: session.AiMode }),
+    });
+    try {
+      await api.request('/ChatData/', {
+        method: 'POST',
+        body: JSON.stringify({
+          chat: created.id,
+          content: session.messages.map(msg => ({ role: msg.role, message: msg.content, timestamp: msg.timestamp })),
+        }),
+      });
+    } catch (error) {
+      // Don't leave an empty session behind for a transcript that never arrived
+      await api.request(`/Chats/${created.id}/`, { method: 'DELETE' }).catch(console.error);
+      throw error;
+    }
+  }
+  return data.sessions.length;
+};
+
+const EXPORT_FORMATS = ['markdown', 'pdf', 'json'];
+
+// Failures are handed to `onError` so the caller can surface them next to its other notices
+const ExportMenu = ({ label, onExport, onError, align = 'start' }) => {
+  const { t } = useI18n();
+  const { isOpen, setIsOpen, containerRef, triggerRef, handleKeyDown } = useDropdown();
+  const menuRef = useRef(null);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) menuRef.current?.querySelector('[role="menuitem"]')?.focus();
+  }, [isOpen]);
+
+  const handleSelect = async (format) => {
+    setIsOpen(false);
+    setBusy(true);
+    try {
+      await onExport(format);
+    } catch (error) {
+      console.error("Export failed", error);
+      onError(error);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div ref={containerRef} onKeyDown={handleKeyDown} className="relative">
+      <button
+        ref={triggerRef}
+        type="button"
+        onClick={() => setIsOpen(v => !v)}
+        disabled={busy}
+        aria-haspopup="menu"
+        aria-expanded={isOpen}
+        className="flex items-center gap-1 text-xs text-gray-500 hover:text-indigo-600 disabled:opacity-50"
+      >
+        <Download size={14} aria-hidden="true" /> {busy ? t('export.busy') : label}
+      </button>
+      {isOpen && (
+        <div
+          ref={menuRef}
+          role="menu"
+          onKeyDown={e => handleArrowNavigation(e, '[role="menuitem"]')}
+          className={`absolute z-20 mt-1 w-32 ${align === 'end' ? 'end-0' : 'start-0'} bg-white border border-gray-200 rounded-md shadow-lg py-1`}
+        >
+          {EXPORT_FORMATS.map(format => (
+            <button
+              key={format}
+              type="button"
+              role="menuitem"
+              onClick={() => handleSelect(format)}
+              className="block w-full text-start px-3 py-1.5 text-sm text-gray-700 hover:bg-gray-50 focus:bg-gray-50"
+            >
+              {t(`export.format.${format}`)}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// --- Message Search ---
+const SEARCH_RESULT_LIMIT = 50;
+const SNIPPET_RADIUS = 80;
+
+const tokenize = (text) => (text || '').toLowerCase().match(/[\p{L}\p{N}']+/gu) || [];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Builds an in-browser index over every message the user can read. Used when the
+// backend has no search endpoint.
+const buildSearchIndex = (sessions, histories) => {
+  const sessionsById = new Map(sessions.map(s => [s.id, s]));
+  const documents = [];
+  for (const history of histories) {
+    const session = sessionsById.get(history.chat);
+    if (!session || !Array.isArray(history.content)) continue;
+    history.content.forEach((msg, i) => {
+      const { id, role, content } = formatHistoryMessage(msg, `${history.chat}:${i}`);
+      const termCounts = new Map();
+      for (const term of tokenize(content)) {
+        termCounts.set(term, (termCounts.get(term) || 0) + 1);
+      }
+      documents.push({
+        sessionId: session.id,
+        sessionTitle: session.title,
+        date: msg.created_at || msg.timestamp || session.last_updated,
+        messageId: id,
+        role,
+        content,
+        termCounts,
+      });
+    });
+  }
+
+  // Document frequency per term, for weighting rare words above common ones
+  const documentFrequency = new Map();
+  for (const doc of documents) {
+    for (const term of doc.termCounts.keys()) {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }
+  }
+  return { documents, documentFrequency };
+};
+
+// Every query term must match (the last one as a prefix, so results update while typing).
+// Scores are TF-IDF with a bonus when the whole query appears as a phrase.
+const searchIndex = ({ documents, documentFrequency }, query) => {
+  const queryTerms = [...new Set(tokenize(query))];
+  if (queryTerms.length === 0) return [];
+  const phrase = query.trim().toLowerCase();
+
+  const results = [];
+  for (const doc of documents) {
+    let score = 0;
+    const matched = queryTerms.every((queryTerm, i) => {
+      const isPrefix = i === queryTerms.length - 1;
+      let termScore = 0;
+      for (const [term, count] of doc.termCounts) {
+        if (term === queryTerm || (isPrefix && term.startsWith(queryTerm))) {
+          const idf = Math.log(1 + documents.length / documentFrequency.get(term));
+          termScore += (1 + Math.log(count)) * idf;
+        }
+      }
+      score += termScore;
+      return termScore > 0;
+    });
+    if (!matched) continue;
+    if (queryTerms.length > 1 && doc.content.toLowerCase().includes(phrase)) score *= 2;
+    results.push({ ...doc, score });
+  }
+
+  return results.sort((a, b) => b.score - a.score).slice(0, SEARCH_RESULT_LIMIT);
+};
+
+// Cuts a window of text around the first match and splits it into plain/highlighted parts
+const buildSnippet = (content, query) => {
+  const queryTerms = [...new Set(tokenize(query))];
+  if (queryTerms.length === 0) return [{ text: content.slice(0, SNIPPET_RADIUS * 2), match: false }];
+  const pattern = new RegExp(`(${queryTerms.map(escapeRegExp).join('|')})`, 'gi');
+
+  const firstMatch = content.search(pattern);
+  const start = Math.max(0, firstMatch - SNIPPET_RADIUS);
+  const end = Math.min(content.length, Math.max(firstMatch, 0) + SNIPPET_RADIUS);
+  const excerpt = `${start > 0 ? '…' : ''}${content.slice(start, end)}${end < content.length ? '…' : ''}`;
+
+  return excerpt.split(pattern).filter(Boolean).map(text => ({
+    text,
+    match: queryTerms.includes(text.toLowerCase()),
+  }));
+};
+
+// Prefers the backend's search endpoint; falls back to a local index built from /ChatData/.
+// Expected server shape: [{ chat, chat_title, message_id, role, message, created_at, score }]
+const searchMessages = async (query, localIndexRef, signal) => {
+  try {
+    const data = await api.request(`/ChatData/search/?q=${encodeURIComponent(query)}`, { signal });
+    return data.map(hit => ({
+      sessionId: hit.chat,
+      sessionTitle: hit.chat_title,
+      date: hit.created_at,
+      messageId: hit.message_id,
+      role: hit.role,
+      content: hit.message || '',
+      score: hit.score,
+    }));
+  } catch (error) {
+    if (error.status !== 404) throw error;
+  }
+
+  if (!localIndexRef.current) {
+    const [sessions, histories] = await Promise.all([
+      api.request('/Chats/', { signal }),
+      api.request('/ChatData/', { signal }),
+    ]);
+    localIndexRef.current = buildSearchIndex(sessions, histories);
+  }
+  return searchIndex(localIndexRef.current, query);
+};
+
+// --- Wellbeing Stores ---
+// Mood check-ins and journal entries use their backend collections when they exist and fall
+// back to localStorage (per user on this browser) when the endpoint answers 404.
+const createCollectionStore = (endpoint, storageKey) => {
+  let useLocal = false;
+
+  const readLocal = () => JSON.parse(localStorage.getItem(userStorageKey(storageKey)) || '[]');
+  const writeLocal = (items) => localStorage.setItem(userStorageKey(storageKey), JSON.stringify(items));
+
+  // The unscoped key is from before per-user storage; nobody can safely claim it
+  registerUserDataCleaner((userId) => {
+    localStorage.removeItem(userStorageKey(storageKey, userId));
+    localStorage.removeItem(storageKey);
+  });
+
+  // Runs the backend call, switching this store to local mode the first time it 404s
+  const withFallback = async (remote, local) => {
+    if (!useLocal) {
+      try {
+        return await remote();
+      } catch (error) {
+        if (error.status !== 404) throw error;
+        useLocal = true;
+      }
+    }
+    return local();
+  };
+
+  return {
+    list: (signal) => withFallback(
+      () => api.request(endpoint, { signal }),
+      readLocal,
+    ),
+    create: (item) => withFallback(
+      () => api.request(endpoint, { method: 'POST', body: JSON.stringify(item) }),
+      () => {
+        const created = { ...item, id: `local-${Date.now()}`, created_at: new Date().toISOString() };
+        writeLocal([...readLocal(), created]);
+        return created;
+      },
+    ),
+    remove: (id) => withFallback(
+      () => api.request(`${endpoint}${id}/`, { method: 'DELETE' }),
+      () => writeLocal(readLocal().filter(item => item.id !== id)),
+    ),
+  };
+};
+
+const moodStore = createCollectionStore('/MoodCheckins/', 'mood_checkins');
+const journalStore = createCollectionStore('/Journal/', 'journal_entries');
+
+// Local calendar day, so a late-evening check-in counts for the day the user lived it
+const toDateKey = (date) => {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+const addDays = (date, days) => {
+  const d = new Date(date);
+  d.setDate(d.getDate() + days);
+  return d;
+};
+
+// Consecutive days with at least one check-in, ending today (or yesterday, if today is still open)
+const computeStreak = (dateKeys) => {
+  const days = new Set(dateKeys);
+  let cursor = days.has(toDateKey(new Date())) ? new Date() : addDays(new Date(), -1);
+  let streak = 0;
+  while (days.has(toDateKey(cursor))) {
+    streak++;
+    cursor = addDays(cursor, -1);
+  }
+  return streak;
+};
+
+// --- Safety Layer ---
+// Outgoing prompts and incoming replies are scanned for crisis language using the rule set in
+// crisis-rules.json; a match opens the resources panel and is passed to the safety reporters.
+const SAFETY_ACK_DELAY_SECONDS = 10;
+const SAFETY_REGION_KEY = 'safety_region';
+
+// Lowercases and strips Latin diacritics (so "daño" meets a "dano" rule); other scripts are untouched
+// NFKD splits hamza off its seat (أ → ا + ◌ٔ), so dropping Arabic marks also folds أ/إ/آ to ا,
+// ؤ to و and ئ to ي, matching how the words are often typed
+const normalizeForSafety = (text) => (text || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[\u064b-\u065f\u0670\u0640]/g, '')
+  .replace(/[\u2018\u2019]/g, "'")
+  .toLowerCase();
+
+// Patterns match whole words or phrases. The lookarounds stand in for \b, which only knows ASCII letters.
+const compileSafetyRules = (rules) => rules.map(rule => ({
+  ...rule,
+  regex: new RegExp(`(?<![\\p{L}\\p{M}\\p{N}])(?:${normalizeForSafety(rule.pattern)})(?![\\p{L}\\p{M}\\p{N}])`, 'u'),
+}));
+
+const SAFETY_RULES = compileSafetyRules(crisisRules.rules);
+
+// Returns the rules triggered by `text`, or an empty array
+const detectCrisisLanguage = (text, rules = SAFETY_RULES) => {
+  const normalized = normalizeForSafety(text);
+  return rules
+    .filter(rule => rule.regex.test(normalized))
+    .map(({ id, locale, category }) => ({ id, locale, category }));
+};
+
+// Reporters receive { direction, sessionId, rules, timestamp }. The message text is
+// deliberately left out. registerSafetyReporter returns an unsubscribe function.
+const safetyReporters = new Set();
+const registerSafetyReporter = (reporter) => {
+  safetyReporters.add(reporter);
+  return () => safetyReporters.delete(reporter);
+};
+
+const reportSafetyEvent = (event) => {
+  for (const reporter of safetyReporters) {
+    Promise.resolve()
+      .then(() => reporter(event))
+      .catch(error => console.error("Safety reporter failed", error));
+  }
+};
+
+// Console output is for local debugging only; production builds never log safety events
+if (import.meta.env.DEV) {
+  registerSafetyReporter((event) => console.warn("Crisis language detected", event));
+}
+registerSafetyReporter(async (event) => {
+  await runtimeConfigReady;
+  if (!appConfig.safetyReportEndpoint) return;
+  await api.request(appConfig.safetyReportEndpoint, { method: 'POST', body: JSON.stringify(event) });
+});
+
+// Picks the first browser locale whose region has a hotline list
+const detectSafetyRegion = () => {
+  for (const locale of navigator.languages || [navigator.language]) {
+    const region = locale?.split('-')[1]?.toUpperCase();
+    if (region && crisisHotlines.regions[region]) return region;
+  }
+  return 'default';
+};
+
+// Country names come from Intl so they follow the interface language
+const regionName = (code) => {
+  try {
+    return new Intl.DisplayNames([activeLocale], { type: 'region' }).of(code);
+  } catch {
+    return crisisHotlines.regions[code]?.name || code;
+  }
+};
+
+// Can't be dismissed until the user has had the resources in front of them for a few seconds
+const SafetyResourcesPanel = ({ onClose }) => {
+  const { t } = useI18n();
+  const [region, setRegion] = useState(() => localStorage.getItem(SAFETY_REGION_KEY) || detectSafetyRegion());
+  const [secondsLeft, setSecondsLeft] = useState(SAFETY_ACK_DELAY_SECONDS);
+
+  useEffect(() => {
+    if (secondsLeft <= 0) return;
+    const timer = setTimeout(() => setSecondsLeft(s => s - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [secondsLeft]);
+
+  const handleRegionChange = (e) => {
+    setRegion(e.target.value);
+    localStorage.setItem(SAFETY_REGION_KEY, e.target.value);
+  };
+
+  const resources = crisisHotlines.regions[region] || crisisHotlines.default;
+
+  // Escape only dismisses once the acknowledgement delay is over, like the Continue button
+  return (
+    <Dialog
+      role="alertdialog"
+      labelledBy="safety-title"
+      describedBy="safety-body"
+      onClose={secondsLeft > 0 ? undefined : onClose}
+      overlayClassName="bg-opacity-60"
+      className="p-6 w-[28rem] max-w-[95vw]"
+    >
+      <div className="flex items-center gap-3 mb-3">
+        <ShieldAlert className="text-rose-600 shrink-0" size={28} aria-hidden="true" />
+        <h2 id="safety-title" className="text-xl font-bold text-gray-900">{t('safety.title')}</h2>
+      </div>
+      <p id="safety-body" className="text-gray-600 mb-4">{t('safety.body')}</p>
+      <p className="mb-4 p-3 rounded-md bg-rose-50 text-rose-800 text-sm font-medium">
+        {t('safety.emergency', { number: resources.emergency })}
+      </p>
+      <ul className="space-y-2 mb-4">
+        {resources.lines.map((line, i) => (
+          <li key={i} className="p-3 rounded-md border border-gray-200">
+            <p className="font-medium text-gray-900">{line.name}</p>
+            <div className="flex flex-wrap gap-3 mt-1 text-sm">
+              {line.phone && (
+                <a href={`tel:${line.phone.replace(/\s/g, '')}`} className="flex items-center gap-1 text-indigo-600 hover:underline">
+                  <Phone size={14} /> {t('safety.call', { number: line.phone })}
+                </a>
+              )}
+              {line.sms && (
+                <a href={`sms:${line.sms.replace(/\s/g, '')}`} className="flex items-center gap-1 text-indigo-600 hover:underline">
+                  <MessageSquare size={14} /> {t('safety.text', { number: line.sms })}
+                </a>
+              )}
+              {line.url && (
+                <a href={line.url} target="_blank" rel="noopener noreferrer" className="text-indigo-600 hover:underline">
+                  {line.url.replace(/^https?:\/\//, '')}
+                </a>
+              )}
+            </div>
+          </li>
+        ))}
+      </ul>
+      <div className="flex items-center justify-between gap-2">
+        <select
+          value={crisisHotlines.regions[region] ? region : 'default'}
+          onChange={handleRegionChange}
+          aria-label={t('safety.region')}
+          className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+        >
+          {Object.keys(crisisHotlines.regions).map(code => (
+            <option key={code} value={code}>{regionName(code)}</option>
+          ))}
+          <option value="default">{t('safety.otherRegion')}</option>
+        </select>
+        <button
+          type="button"
+          onClick={onClose}
+          disabled={secondsLeft > 0}
+          className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 disabled:opacity-50"
+        >
+          {secondsLeft > 0 ? t('safety.continueIn', { seconds: formatNumber(secondsLeft) }) : t('safety.continue')}
+        </button>
+      </div>
+    </Dialog>
+  );
+};
+
+// --- Markdown Rendering ---
+const COPY_FEEDBACK_MS = 1500;
+
+// Wraps a block (code, numbered exercise) with a button that copies its text content
+const CopyableBlock = ({ as: Tag = 'div', children, ...props }) => {
+  const { t } = useI18n();
+  const ref = useRef(null);
+  const [copied, setCopied] = useState(false);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(ref.current.innerText);
+      setCopied(true);
+      setTimeout(() => setCopied(false), COPY_FEEDBACK_MS);
+    } catch (e) {
+      console.error("Copy failed", e);
+    }
+  };
+
+  return (
+    <div className="relative group/copy">
+      <Tag ref={ref} {...props}>{children}</Tag>
+      <button
+        type="button"
+        onClick={handleCopy}
+        title={t('markdown.copy')}
+        aria-label={t('markdown.copy')}
+        className="absolute top-1 end-1 p-1 rounded bg-white/80 text-gray-500 hover:text-indigo-600 opacity-0 group-hover/copy:opacity-100 focus:opacity-100 transition"
+      >
+        {copied ? <Check size={14} /> : <Copy size={14} />}
+      </button>
+    </div>
+  );
+};
+
+// Tailwind is loaded without the typography plugin, so each element is styled here.
+// `node` is dropped so it doesn't end up as a DOM attribute.
+const markdownComponents = {
+  h1: ({ node, ...props }) => <h1 className="text-xl font-bold mt-3 mb-2" {...props} />,
+  h2: ({ node, ...props }) => <h2 className="text-lg font-bold mt-3 mb-2" {...props} />,
+  h3: ({ node, ...props }) => <h3 className="font-semibold mt-2 mb-1" {...props} />,
+  p: ({ node, ...props }) => <p className="my-2 first:mt-0 last:mb-0 whitespace-pre-wrap" {...props} />,
+  ul: ({ node, ...props }) => <ul className="list-disc ps-5 my-2 space-y-1" {...props} />,
+  ol: ({ node, ...props }) => <CopyableBlock as="ol" className="list-decimal ps-5 pe-6 my-2 space-y-1" {...props} />,
+  a: ({ node, ...props }) => (
+    <a className="text-indigo-600 underline hover:text-indigo-800" target="_blank" rel="noopener noreferrer" {...props} />
+  ),
+  strong: ({ node, ...props }) => <strong className="font-semibold" {...props} />,
+  blockquote: ({ node, ...props }) => <blockquote className="border-s-4 border-gray-300 ps-3 my-2 text-gray-600" {...props} />,
+  pre: ({ node, ...props }) => (
+    <CopyableBlock as="pre" className="my-2 p-3 pe-8 rounded bg-gray-800 text-gray-100 text-sm overflow-x-auto [&_code]:bg-transparent [&_code]:p-0" {...props} />
+  ),
+  code: ({ node, className, ...props }) => (
+    <code className={className || 'px-1 py-0.5 rounded bg-gray-200 text-sm'} {...props} />
+  ),
+  table: ({ node, ...props }) => (
+    <div className="my-2 overflow-x-auto">
+      <table className="min-w-full text-sm border border-gray-300" {...props} />
+    </div>
+  ),
+  th: ({ node, ...props }) => <th className="border border-gray-300 px-2 py-1 bg-gray-200 text-start" {...props} />,
+  td: ({ node, ...props }) => <td className="border border-gray-300 px-2 py-1" {...props} />,
+};
+
+// Assistant replies are Markdown. Raw HTML in the source is dropped (skipHtml) and
+// react-markdown's default URL transform strips javascript: and other unsafe link targets.
+const MarkdownMessage = ({ content }) => (
+  <div className="break-words">
+    <ReactMarkdown remarkPlugins={[remarkGfm]} components={markdownComponents} skipHtml>
+      {content}
+    </ReactMarkdown>
+  </div>
+);
+
+// User and system messages stay plain text
+const MessageContent = ({ msg }) => (
+  msg.role === 'assistant'
+    ? <MarkdownMessage content={msg.content} />
+    : <p className="whitespace-pre-wrap">{msg.content}</p>
+);
+
+// --- Voice ---
+const DEFAULT_VOICE_SETTINGS = { voiceURI: '', rate: 1, autoRead: false };
+const SPEECH_RATES = [0.75, 1, 1.25, 1.5];
+
+const SpeechRecognitionImpl = typeof window !== 'undefined'
+  ? window.SpeechRecognition || window.webkitSpeechRecognition
+  : undefined;
+const canRecordAudio = () => !!(navigator.mediaDevices?.getUserMedia && window.MediaRecorder);
+const canSpeak = () => typeof window !== 'undefined' && 'speechSynthesis' in window;
+
+// Voice, rate and auto-read are kept per user on this device
+const useVoiceSettings = () => {
+  const { user } = useAuth();
+  const storageKey = `voice_settings:${user?.username || 'anonymous'}`;
+  const [settings, setSettings] = useState(DEFAULT_VOICE_SETTINGS);
+
+  useEffect(() => {
+    try {
+      setSettings({ ...DEFAULT_VOICE_SETTINGS, ...JSON.parse(localStorage.getItem(storageKey) || '{}') });
+    } catch {
+      setSettings(DEFAULT_VOICE_SETTINGS);
+    }
+  }, [storageKey]);
+
+  const updateSettings = useCallback((changes) => {
+    setSettings(prev => {
+      const next = { ...prev, ...changes };
+      localStorage.setItem(storageKey, JSON.stringify(next));
+      return next;
+    });
+  }, [storageKey]);
+
+  return [settings, updateSettings];
+};
+
+// Fallback for browsers without the Speech Recognition API
+const transcribeAudio = async (blob, signal) => {
+  const form = new FormData();
+  form.append('audio', blob, 'recording.webm');
+  const data = await api.request('/transcribe/', { method: 'POST', body: form, timeout: 60000, signal });
+  return data?.text || data?.transcript || '';
+};
+
+// Dictation: the browser recogniser when there is one, otherwise record and upload.
+// `onTranscript` receives each finished piece of text.
+const useVoiceInput = (onTranscript) => {
+  const [listening, setListening] = useState(false);
+  const [transcribing, setTranscribing] = useState(false);
+  const [error, setError] = useState('');
+  const recogniserRef = useRef(null);
+  const recorderRef = useRef(null);
+  // Aborted on unmount: covers the permission prompt, the recording and its upload
+  const recordingControllerRef = useRef(null);
+  const onTranscriptRef = useRef(onTranscript);
+  onTranscriptRef.current = onTranscript;
+
+  const available = !!SpeechRecognitionImpl || canRecordAudio();
+
+  const startRecognition = () => {
+    const recogniser = new SpeechRecognitionImpl();
+    // Dictate in the interface language, keeping the browser's region when it matches
+    recogniser.lang = navigator.language?.startsWith(activeLocale) ? navigator.language : activeLocale;
+    recogniser.interimResults = false;
+    recogniser.continuous = true;
+    recogniser.onresult = (event) => {
+      for (let i = event.resultIndex; i < event.results.length; i++) {
+        if (event.results[i].isFinal) onTranscriptRef.current(event.results[i][0].transcript.trim());
+      }
+    };
+    recogniser.onerror = (event) => {
+      if (event.error !== 'aborted' && event.error !== 'no-speech') setError(translate('voice.recognitionFailed'));
+    };
+    recogniser.onend = () => setListening(false);
+    recogniserRef.current = recogniser;
+    recogniser.start();
+  };
+
+  const startRecording = async () => {
+    const controller = new AbortController();
+    const { signal } = controller;
+    recordingControllerRef.current = controller;
+    const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    if (signal.aborted) {
+      stream.getTracks().forEach(track => track.stop());
+      return;
+    }
+    const recorder = new MediaRecorder(stream);
+    const chunks = [];
+    recorder.ondataavailable = (event) => chunks.push(event.data);
+    // Once unmounted the microphone is still released, but nothing is uploaded or set
+    recorder.onstop = async () => {
+      stream.getTracks().forEach(track => track.stop());
+      if (signal.aborted) return;
+      setListening(false);
+      setTranscribing(true);
+      try {
+        const text = await transcribeAudio(new Blob(chunks, { type: recorder.mimeType }), signal);
+        if (text && !signal.aborted) onTranscriptRef.current(text.trim());
+      } catch (err) {
+        if (!signal.aborted) setError(err.message || translate('voice.transcribeFailed'));
+      } finally {
+        if (!signal.aborted) setTranscribing(false);
+      }
+    };
+    recorderRef.current = recorder;
+    recorder.start();
+  };
+
+  const start = async () => {
+    setError('');
+    try {
+      if (SpeechRecognitionImpl) startRecognition();
+      else await startRecording();
+      setListening(true);
+    } catch (err) {
+      setError(err.message || translate('voice.micFailed'));
+    }
+  };
+
+  const stop = () => {
+    recogniserRef.current?.stop();
+    if (recorderRef.current?.state === 'recording') recorderRef.current.stop();
+    recogniserRef.current = null;
+    recorderRef.current = null;
+  };
+
+  // Release the microphone when the composer goes away
+  useEffect(() => () => {
+    recogniserRef.current?.abort();
+    recordingControllerRef.current?.abort();
+    if (recorderRef.current?.state === 'recording') recorderRef.current.stop();
+  }, []);
+
+  return { available, listening, transcribing, error, start, stop };
+};
+
+// Read Markdown replies as prose rather than spelling out the syntax
+const toSpeechText = (markdown) => markdown
+  .replace(/```[\s\S]*?```/g, ' ')
+  .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+  .replace(/[`*_#>~|]/g, '')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Speaks `text`; the returned promise settles when speech ends or is cancelled
+const speakText = (text, settings) => new Promise((resolve) => {
+  window.speechSynthesis.cancel();
+  const utterance = new SpeechSynthesisUtterance(toSpeechText(text));
+  const voice = window.speechSynthesis.getVoices().find(v => v.voiceURI === settings.voiceURI);
+  if (voice) utterance.voice = voice;
+  else utterance.lang = activeLocale;
+  utterance.rate = settings.rate;
+  utterance.onend = resolve;
+  utterance.onerror = resolve;
+  window.speechSynthesis.speak(utterance);
+});
+
+const useSpeechVoices = () => {
+  const [voices, setVoices] = useState([]);
+  useEffect(() => {
+    if (!canSpeak()) return;
+    // Chrome fills the list asynchronously
+    const load = () => setVoices(window.speechSynthesis.getVoices());
+    load();
+    window.speechSynthesis.addEventListener('voiceschanged', load);
+    return () => window.speechSynthesis.removeEventListener('voiceschanged', load);
+  }, []);
+  return voices;
+};
+
+const ReadAloudButton = ({ text, settings }) => {
+  const { t } = useI18n();
+  const [speaking, setSpeaking] = useState(false);
+  const mountedRef = useRef(true);
+  const speakingRef = useRef(false);
+
+  // Stop this reply's speech when it leaves the screen; its onend then settles unmounted
+  useEffect(() => {
+    mountedRef.current = true;
+    return () => {
+      mountedRef.current = false;
+      if (speakingRef.current) window.speechSynthesis.cancel();
+    };
+  }, []);
+
+  if (!canSpeak()) return null;
+
+  const handleClick = async () => {
+    if (speaking) {
+      window.speechSynthesis.cancel();
+      return;
+    }
+    speakingRef.current = true;
+    setSpeaking(true);
+    await speakText(text, settings);
+    speakingRef.current = false;
+    if (mountedRef.current) setSpeaking(false);
+  };
+
+  return (
+    <button
+      type="button"
+      onClick={handleClick}
+      title={speaking ? t('voice.stopReading') : t('voice.readAloud')}
+      aria-label={speaking ? t('voice.stopReading') : t('voice.readAloud')}
+      className="mt-1 text-gray-400 hover:text-indigo-600"
+    >
+      {speaking ? <VolumeX size={14} aria-hidden="true" /> : <Volume2 size={14} aria-hidden="true" />}
+    </button>
+  );
+};
+
+const VoiceSettingsMenu = ({ settings, onChange }) => {
+  const { t, formatNumber } = useI18n();
+  const { isOpen, setIsOpen, containerRef, triggerRef, handleKeyDown } = useDropdown();
+  const panelId = useId();
+  const voices = useSpeechVoices();
+  if (!canSpeak()) return null;
+
+  return (
+    <div ref={containerRef} onKeyDown={handleKeyDown} className="relative">
+      <button
+        ref={triggerRef}
+        type="button"
+        onClick={() => setIsOpen(o => !o)}
+        title={t('voice.settings')}
+        aria-label={t('voice.settings')}
+        aria-expanded={isOpen}
+        aria-controls={panelId}
+        className="p-1 text-gray-500 hover:text-indigo-600"
+      >
+        <Volume2 size={18} aria-hidden="true" />
+      </button>
+      {isOpen && (
+        <div id={panelId} className="absolute end-0 mt-1 w-64 bg-white border border-gray-200 rounded-md shadow-lg z-20 p-3 space-y-3 text-sm">
+          <label className="block">
+            <span className="block text-gray-700 mb-1">{t('voice.voice')}</span>
+            <select
+              value={settings.voiceURI}
+              onChange={e => onChange({ voiceURI: e.target.value })}
+              className="w-full border border-gray-300 rounded-md px-2 py-1"
+            >
+              <option value="">{t('voice.browserDefault')}</option>
+              {voices.map(voice => (
+                <option key={voice.voiceURI} value={voice.voiceURI}>{voice.name} ({voice.lang})</option>
+              ))}
+            </select>
+          </label>
+          <label className="block">
+            <span className="block text-gray-700 mb-1">{t('voice.speed')}</span>
+            <select
+              value={settings.rate}
+              onChange={e => onChange({ rate: Number(e.target.value) })}
+              className="w-full border border-gray-300 rounded-md px-2 py-1"
+            >
+              {SPEECH_RATES.map(rate => <option key={rate} value={rate}>{formatNumber(rate)}x</option>)}
+            </select>
+          </label>
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={settings.autoRead}
+              onChange={e => onChange({ autoRead: e.target.checked })}
+            />
+            {t('voice.autoRead')}
+          </label>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// --- Virtualised Message List ---
+const ESTIMATED_ROW_HEIGHT = 72;
+const OVERSCAN_PX = 600;
+const LOAD_OLDER_THRESHOLD_PX = 200;
+const STICK_TO_BOTTOM_THRESHOLD_PX = 40;
+
+// Reports its rendered height whenever it changes
+const MeasuredRow = ({ id, top, onResize, children }) => {
+  const ref = useRef(null);
+
+  useLayoutEffect(() => {
+    const el = ref.current;
+    onResize(id, el.offsetHeight);
+    const observer = new ResizeObserver(() => onResize(id, el.offsetHeight));
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, [id, onResize]);
+
+  return (
+    <div ref={ref} className="absolute inset-x-0 pb-4" style={{ top }}>
+      {children}
+    </div>
+  );
+};
+
+// Renders only the rows near the viewport so sessions with thousands of turns stay smooth.
+// While the user sits at the bottom the list follows new content; otherwise the first visible
+// row is used as a scroll anchor, so prepending older pages or re-measuring rows doesn't jump.
+const VirtualMessageList = ({ items, renderItem, hasMore, loadingMore, onLoadMore, scrollToId, header, footer, label }) => {
+  const { t } = useI18n();
+  const containerRef = useRef(null);
+  const rowsRef = useRef(null);
+  const heightsRef = useRef(new Map());
+  const offsetsRef = useRef(new Map());
+  const anchorRef = useRef(null);
+  const stickToBottomRef = useRef(true);
+  const scrolledToIdRef = useRef(null);
+  const [viewport, setViewport] = useState({ scrollTop: 0, height: 0 });
+  const [, setMeasureVersion] = useState(0);
+
+  const offsets = new Map();
+  let totalHeight = 0;
+  for (const item of items) {
+    offsets.set(item.id, totalHeight);
+    totalHeight += heightsRef.current.get(item.id) ?? ESTIMATED_ROW_HEIGHT;
+  }
+  offsetsRef.current = offsets;
+
+  const handleResize = useCallback((id, height) => {
+    if (heightsRef.current.get(id) === height) return;
+    heightsRef.current.set(id, height);
+    setMeasureVersion(v => v + 1);
+  }, []);
+
+  // Remembers the first row intersecting the viewport and how far it sits from the top edge
+  const recordAnchor = () => {
+    const el = containerRef.current;
+    const scrollTop = el.scrollTop - rowsRef.current.offsetTop;
+    const anchor = items.find(item =>
+      offsets.get(item.id) + (heightsRef.current.get(item.id) ?? ESTIMATED_ROW_HEIGHT) > scrollTop
+    );
+    anchorRef.current = anchor ? { id: anchor.id, delta: offsets.get(anchor.id) - scrollTop } : null;
+  };
+
+  const handleScroll = () => {
+    const el = containerRef.current;
+    stickToBottomRef.current = el.scrollHeight - el.scrollTop - el.clientHeight < STICK_TO_BOTTOM_THRESHOLD_PX;
+    recordAnchor();
+    setViewport({ scrollTop: el.scrollTop, height: el.clientHeight });
+
+    if (el.scrollTop < LOAD_OLDER_THRESHOLD_PX && hasMore && !loadingMore) {
+      onLoadMore();
+    }
+  };
+
+  useLayoutEffect(() => {
+    const el = containerRef.current;
+    const anchor = anchorRef.current;
+    if (scrollToId != null && scrolledToIdRef.current !== scrollToId && offsetsRef.current.has(scrollToId)) {
+      // Jump once to the requested row, placing it in the upper third of the viewport
+      scrolledToIdRef.current = scrollToId;
+      stickToBottomRef.current = false;
+      el.scrollTop = rowsRef.current.offsetTop + offsetsRef.current.get(scrollToId) - el.clientHeight / 3;
+    } else if (stickToBottomRef.current) {
+      el.scrollTop = el.scrollHeight;
+    } else if (anchor && offsetsRef.current.has(anchor.id)) {
+      el.scrollTop = rowsRef.current.offsetTop + offsetsRef.current.get(anchor.id) - anchor.delta;
+    }
+    recordAnchor();
+    if (el.clientHeight !== viewport.height || el.scrollTop !== viewport.scrollTop) {
+      setViewport({ scrollTop: el.scrollTop, height: el.clientHeight });
+    }
+  });
+
+  // A transcript too short to scroll never fires onScroll, so keep paging back until it overflows
+  useEffect(() => {
+    const el = containerRef.current;
+    if (hasMore && !loadingMore && el.clientHeight > 0 && el.scrollHeight <= el.clientHeight) {
+      onLoadMore();
+    }
+  }, [items, hasMore, loadingMore]);
+
+  const windowTop = viewport.scrollTop - OVERSCAN_PX;
+  const windowBottom = viewport.scrollTop + viewport.height + OVERSCAN_PX;
+  const visible = items.filter(item => {
+    const top = offsets.get(item.id);
+    return top + (heightsRef.current.get(item.id) ?? ESTIMATED_ROW_HEIGHT) >= windowTop && top <= windowBottom;
+  });
+
+  // Focusable so keyboard users can scroll the transcript
+  return (
+    <div ref={containerRef} onScroll={handleScroll} role="region" aria-label={label} tabIndex={0} className="relative flex-1 overflow-y-auto p-6">
+      {loadingMore && <div role="status" className="text-center text-xs text-gray-400 pb-4">{t('chat.loadingEarlier')}</div>}
+      {header}
+      <div ref={rowsRef} className="relative" style={{ height: totalHeight }}>
+        {visible.map(item => (
+          <MeasuredRow key={item.id} id={item.id} top={offsets.get(item.id)} onResize={handleResize}>
+            {renderItem(item)}
+          </MeasuredRow>
+        ))}
+      </div>
+      {footer}
+    </div>
+  );
+};
+
+// --- AI Modes ---
+// The catalogue comes from the backend so modes can be added without a frontend release;
+// ai-modes.json is the bundled fallback. Icons are lucide names.
+const MODE_ICONS = { Stethoscope, HeartHandshake, Brain, Sparkles, MessageSquare };
+const DEFAULT_MODE_ID = bundledModes.modes[0].id;
+
+const normalizeMode = (mode) => ({
+  id: mode.id,
+  name: mode.name || mode.id,
+  description: mode.description || '',
+  icon: mode.icon || 'MessageSquare',
+  capabilities: Array.isArray(mode.capabilities) ? mode.capabilities : [],
+});
+
+// Fetched once per page load and shared by every consumer. A failed fetch serves the bundled
+// modes this time and is retried by the next caller.
+let modeCataloguePromise = null;
+const loadModeCatalogue = () => {
+  modeCataloguePromise ??= api.request('/AiModes/')
+    .then(data => (data?.results || data?.modes || data || []).map(normalizeMode))
+    .then(modes => (modes.length ? modes : bundledModes.modes.map(normalizeMode)))
+    .catch(() => {
+      modeCataloguePromise = null;
+      return bundledModes.modes.map(normalizeMode);
+    });
+  return modeCataloguePromise;
+};
+
+const useModeCatalogue = () => {
+  const [modes, setModes] = useState(() => bundledModes.modes.map(normalizeMode));
+  useEffect(() => {
+    let cancelled = false;
+    loadModeCatalogue().then(loaded => {
+      if (!cancelled) setModes(loaded);
+    });
+    return () => { cancelled = true; };
+  }, []);
+  return modes;
+};
+
+// Sessions may reference a mode the catalogue has since dropped
+const findMode = (modes, id) => modes.find(m => m.id === id) || normalizeMode({ id: id || DEFAULT_MODE_ID });
+
+const ModeIcon = ({ mode, size = 16, ...props }) => {
+  const Icon = MODE_ICONS[mode.icon] || MessageSquare;
+  return <Icon size={size} {...props} />;
+};
+
+// Transcript markers go wherever consecutive messages were answered in different modes
+const makeModeMarker = (mode) => ({ id: `mode-${++messageKeySeq}`, role: 'mode_switch', mode });
+
+const insertModeMarkers = (messages) => {
+  const result = [];
+  let currentMode = null;
+  for (const msg of messages) {
+    if (msg.mode && currentMode && msg.mode !== currentMode) result.push(makeModeMarker(msg.mode));
+    if (msg.mode) currentMode = msg.mode;
+    result.push(msg);
+  }
+  return result;
+};
+
+// Prepends an older page, marking a switch that falls exactly between the two pages
+const prependOlderMessages = (older, current) => {
+  const olderMode = [...older].reverse().find(msg => msg.mode)?.mode;
+  const index = current.findIndex(msg => msg.mode);
+  const next = current[index];
+  const seam = olderMode && next && next.role !== 'mode_switch' && next.mode !== olderMode;
+  return seam
+    ? [...insertModeMarkers(older), ...current.slice(0, index), makeModeMarker(next.mode), ...current.slice(index)]
+    : [...insertModeMarkers(older), ...current];
+};
+
+// Radio group keyboard model: one tab stop, arrow keys move and select
+const ModePicker = ({ modes, value, onChange, labelledBy }) => {
+  // Without a valid selection the first option takes the tab stop
+  const tabStopId = modes.some(m => m.id === value) ? value : modes[0]?.id;
+
+  const handleKeyDown = (e) => {
+    const step = { ArrowDown: 1, ArrowRight: 1, ArrowUp: -1, ArrowLeft: -1 }[e.key];
+    if (!step) return;
+    e.preventDefault();
+    const index = modes.findIndex(m => m.id === value);
+    const next = modes[(index + step + modes.length) % modes.length];
+    onChange(next.id);
+    e.currentTarget.querySelector(`[data-mode-id="${next.id}"]`)?.focus();
+  };
+
+  return (
+    <div className="space-y-2 max-h-64 overflow-y-auto" role="radiogroup" aria-labelledby={labelledBy} onKeyDown={handleKeyDown}>
+      {modes.map(mode => (
+        <button
+          key={mode.id}
+          type="button"
+          role="radio"
+          data-mode-id={mode.id}
+          aria-checked={value === mode.id}
+          tabIndex={mode.id === tabStopId ? 0 : -1}
+          onClick={() => onChange(mode.id)}
+          className={`w-full text-start p-3 rounded-md border transition ${value === mode.id ? 'border-indigo-500 bg-indigo-50' : 'border-gray-200 hover:bg-gray-50'}`}
+        >
+          <span className="flex items-center gap-2 font-medium text-gray-900">
+            <ModeIcon mode={mode} className="text-indigo-600" aria-hidden="true" /> {mode.name}
+          </span>
+          {mode.description && <span className="block text-xs text-gray-500 mt-1">{mode.description}</span>}
+          {mode.capabilities.length > 0 && (
+            <span className="flex flex-wrap gap-1 mt-2">
+              {mode.capabilities.map(capability => (
+                <span key={capability} className="px-1.5 py-0.5 rounded bg-gray-100 text-[10px] text-gray-600">{capability}</span>
+              ))}
+            </span>
+          )}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+// --- Composer ---
+const DRAFTS_STORAGE_KEY = 'chat_drafts';
+const COMPOSER_MAX_HEIGHT_PX = 200;
+// Replies kept in the screen-reader log; older ones have already been read out
+const ANNOUNCEMENT_LIMIT = 5;
+
+// Drafts belong to the signed-in user and go when they log out
+const readDrafts = () => {
+  try {
+    return JSON.parse(localStorage.getItem(userStorageKey(DRAFTS_STORAGE_KEY)) || '{}');
+  } catch {
+    return {};
+  }
+};
+
+// Empty text clears the session's draft
+const saveDraft = (sessionId, text) => {
+  const { [sessionId]: _previous, ...drafts } = readDrafts();
+  if (text.trim()) drafts[sessionId] = text;
+  localStorage.setItem(userStorageKey(DRAFTS_STORAGE_KEY), JSON.stringify(drafts));
+};
+
+registerUserDataCleaner((userId) => {
+  localStorage.removeItem(userStorageKey(DRAFTS_STORAGE_KEY, userId));
+  localStorage.removeItem(DRAFTS_STORAGE_KEY);
+});
+
+// --- Session Sidebar ---
+// How long a deleted session can be restored before the DELETE is actually sent
+const UNDO_WINDOW_MS = 5000;
+
+const matchesSessionQuery = (session, query) => {
+  const needle = query.trim().toLowerCase();
+  if (!needle) return true;
+  return [session.title, session.AiMode].some(field => field?.toLowerCase().includes(needle));
+};
+
+// Pinned sessions float to the top; otherwise keep the server's ordering
+const sortSessions = (sessions) => [...sessions].sort((a, b) => Number(!!b.pinned) - Number(!!a.pinned));
+
+const SessionListItem = ({ session, isActive, onOpen, onRename, onTogglePin, onToggleArchive, onDelete }) => {
+  const { t, formatDate } = useI18n();
+  const [isRenaming, setIsRenaming] = useState(false);
+  const [draftTitle, setDraftTitle] = useState(session.title);
+  const openButtonRef = useRef(null);
+  // Set when rename ends from the keyboard, so focus goes back to the row instead of the page
+  const refocusRef = useRef(false);
+
+  useEffect(() => {
+    if (isRenaming || !refocusRef.current) return;
+    refocusRef.current = false;
+    openButtonRef.current?.focus();
+  }, [isRenaming]);
+
+  const startRename = () => {
+    setDraftTitle(session.title);
+    setIsRenaming(true);
+  };
+
+  const commitRename = () => {
+    setIsRenaming(false);
+    const title = draftTitle.trim();
+    if (title && title !== session.title) onRename(title);
+  };
+
+  // Actions stay hidden until the row is hovered or has keyboard focus
+  return (
+    <li className={`group flex items-start border-b border-gray-100 hover:bg-white transition ${isActive ? 'bg-white border-s-4 border-s-indigo-500' : ''} ${session.archived ? 'opacity-60' : ''}`}>
+      {isRenaming ? (
+        <div className="flex-1 min-w-0 p-4">
+          <input
+            autoFocus
+            value={draftTitle}
+            onChange={e => setDraftTitle(e.target.value)}
+            onBlur={commitRename}
+            onKeyDown={e => {
+              if (e.key !== 'Enter' && e.key !== 'Escape') return;
+              refocusRef.current = true;
+              if (e.key === 'Enter') commitRename();
+              else setIsRenaming(false);
+            }}
+            aria-label={t('session.rename')}
+            className="w-full border border-indigo-300 rounded px-2 py-0.5 text-sm"
+          />
+        </div>
+      ) : (
+        <button
+          ref={openButtonRef}
+          type="button"
+          data-session-open
+          onClick={onOpen}
+          aria-current={isActive ? 'true' : undefined}
+          className="flex-1 min-w-0 p-4 text-start"
+        >
+          <span className="flex items-center gap-1">
+            {session.pinned && <Pin size={14} className="text-indigo-500 shrink-0" aria-label={t('session.pinned')} />}
+            <span className="flex-1 font-semibold text-gray-800 truncate">{session.title}</span>
+          </span>
+          <span className="flex justify-between items-center mt-1">
+            <span className="text-xs px-2 py-0.5 rounded-full bg-indigo-100 text-indigo-700 capitalize">
+              {session.AiMode}
+            </span>
+            <span className="text-xs text-gray-400">
+              {formatDate(session.last_updated)}
+            </span>
+          </span>
+        </button>
+      )}
+      <div className="hidden group-hover:flex group-focus-within:flex items-center gap-1 text-gray-400 shrink-0 pt-4 pe-3">
+        <button
+          type="button"
+          onClick={onTogglePin}
+          title={session.pinned ? t('session.unpin') : t('session.pin')}
+          aria-label={session.pinned ? t('session.unpin') : t('session.pin')}
+          className="hover:text-indigo-600"
+        >
+          {session.pinned ? <PinOff size={14} aria-hidden="true" /> : <Pin size={14} aria-hidden="true" />}
+        </button>
+        <button type="button" onClick={startRename} title={t('session.rename')} aria-label={t('session.rename')} className="hover:text-indigo-600">
+          <Pencil size={14} aria-hidden="true" />
+        </button>
+        <button
+          type="button"
+          onClick={onToggleArchive}
+          title={session.archived ? t('session.unarchive') : t('session.archive')}
+          aria-label={session.archived ? t('session.unarchive') : t('session.archive')}
+          className="hover:text-indigo-600"
+        >
+          {session.archived ? <ArchiveRestore size={14} aria-hidden="true" /> : <Archive size={14} aria-hidden="true" />}
+        </button>
+        <button type="button" onClick={onDelete} title={t('session.delete')} aria-label={t('session.delete')} className="hover:text-red-600">
+          <Trash2 size={14} aria-hidden="true" />
+        </button>
+      </div>
+    </li>
+  );
+};
+
+// --- Main Chat Component ---
+const ChatInterface = ({ sessionId: routeSessionId, focusMessageId, attachJournalId }) => {
+  const { t, formatDate } = useI18n();
+  const sessionsQuery = useQuery(['chats'], (signal) => api.request('/Chats/', { signal }));
+  const setSessions = (updater) => setQueryData(['chats'], (prev = []) => updater(prev));
+  const [activeSessionId, setActiveSessionId] = useState(null);
+  const [messages, setMessages] = useState([]);
+  const [input, setInput] = useState('');
+  // { messageId, previousInput } while the composer is rewriting the last user message
+  const [editing, setEditing] = useState(null);
+  const composerRef = useRef(null);
+  const [loading, setLoading] = useState(false);
+  const [isModalOpen, setIsModalOpen] = useState(false);
+  // Partial assistant reply while a response is streaming in (null when idle)
+  const [streamingText, setStreamingText] = useState(null);
+  const streamControllerRef = useRef(null);
+  // Cancels the previous history load (and its older pages) when the user switches sessions
+  const historyControllerRef = useRef(null);
+  // Cursor for the page of messages preceding the oldest one loaded (null when at the start)
+  const [olderCursor, setOlderCursor] = useState(null);
+  const [loadingOlder, setLoadingOlder] = useState(false);
+  const isOnline = useOnlineStatus();
+  const [showSafetyPanel, setShowSafetyPanel] = useState(false);
+
+  // Sidebar State
+  const [sessionQuery, setSessionQuery] = useState('');
+  const [showArchived, setShowArchived] = useState(false);
+  // Transient message at the foot of the sidebar, optionally with an Undo action
+  const [notice, setNotice] = useState(null);
+  // Sessions deleted locally whose DELETE is held back during the undo window: id -> timer
+  const pendingDeletesRef = useRef(new Map());
+  const importInputRef = useRef(null);
+  
+  // New Chat Form State
+  const [newChatTitle, setNewChatTitle] = useState('');
+  const [newChatMode, setNewChatMode] = useState(DEFAULT_MODE_ID);
+  const modes = useModeCatalogue();
+  const journalQuery = useQuery(['journal'], (signal) => journalStore.list(signal), { enabled: isModalOpen });
+  const journalEntries = journalQuery.data || [];
+  const [newChatJournalId, setNewChatJournalId] = useState('');
+  // Journal entry to send as the opening message once the new session has loaded
+  const openingPromptRef = useRef(null);
+  // Finished replies for screen readers. The transcript is virtualised, so its rows mount and
+  // unmount while scrolling and can't be the live region; this hidden log only gains new replies.
+  const [announcements, setAnnouncements] = useState([]);
+  const announceReply = (text) => setAnnouncements(prev => [...prev.slice(-(ANNOUNCEMENT_LIMIT - 1)), makeMessage('assistant', text)]);
+  const [voiceSettings, updateVoiceSettings] = useVoiceSettings();
+  const voiceInput = useVoiceInput((text) => setInput(prev => (prev.trim() ? `${prev.trimEnd()} ${text}` : text)));
+
+  // Sessions deleted here but still inside their undo window stay hidden across refetches
+  const sessions = useMemo(
+    () => (sessionsQuery.data || []).filter(s => !pendingDeletesRef.current.has(s.id)),
+    [sessionsQuery.data]
+  );
+
+  // Abort any in-flight stream or history load when leaving the chat view,
+  // and send deletes still waiting out their undo window
+  useEffect(() => () => {
+    streamControllerRef.current?.abort();
+    historyControllerRef.current?.abort();
+    for (const [sessionId, timer] of pendingDeletesRef.current) {
+      clearTimeout(timer);
+      api.request(`/Chats/${sessionId}/`, { method: 'DELETE' }).catch(console.error);
+    }
+  }, []);
+
+  // Load messages for a specific session
+  const loadChatHistory = async (sessionId) => {
+    // A reply still streaming into the previous session must not leak into this one
+    streamControllerRef.current?.abort();
+    historyControllerRef.current?.abort();
+    const controller = new AbortController();
+    historyControllerRef.current = controller;
+
+    setLoading(true);
+    setOlderCursor(null);
+    setLoadingOlder(false);
+    const historyKey = ['chat-history', sessionId];
+    // Prompts that never reached the server are shown after the transcript with their state
+    const showPage = (page, outbox) => {
+      const queued = outbox
+        .filter(entry => entry.sessionId === sessionId)
+        .map(entry => ({ ...makeMessage('user', entry.content, entry.id), status: entry.status, mode: entry.mode }));
+      setMessages(insertModeMarkers([...page.messages, ...queued]));
+      setOlderCursor(page.olderCursor);
+      setActiveSessionId(sessionId);
+    };
+    try {
+      const outboxPromise = getOutboxEntries().catch(() => []);
+      // Revisited sessions show their cached transcript while the latest page loads
+      const cached = getQueryEntry(historyKey).state.data;
+      if (cached) showPage(cached, await outboxPromise);
+      const page = await fetchQuery(historyKey, (signal) => fetchHistoryPage(sessionId, null, signal), { signal: controller.signal });
+      if (controller.signal.aborted) return;
+      showPage(page, await outboxPromise);
+    } catch (error) {
+      if (isAbortError(error)) return;
+      console.error("Failed to load history", error);
+    } finally {
+      // A newer load owns the loading flag once this one has been superseded
+      if (historyControllerRef.current === controller) {
+        setLoading(false);
+      }
+    }
+  };
+
+  // Prepends the previous page when the user scrolls to the top of the transcript
+  const loadOlderMessages = async () => {
+    const controller = historyControllerRef.current;
+    if (!olderCursor || !controller) return;
+    setLoadingOlder(true);
+    try {
+      const page = await fetchHistoryPage(activeSessionId, olderCursor, controller.signal);
+      setMessages(prev => prependOlderMessages(page.messages, prev));
+      setOlderCursor(page.olderCursor);
+    } catch (error) {
+      if (isAbortError(error)) return;
+      console.error("Failed to load older messages", error);
+    } finally {
+      if (historyControllerRef.current === controller) {
+        setLoadingOlder(false);
+      }
+    }
+  };
+
+  // The URL owns the selected session: /chat/:sessionId loads it, /chat clears it
+  useEffect(() => {
+    if (routeSessionId) {
+      loadChatHistory(routeSessionId);
+    } else {
+      streamControllerRef.current?.abort();
+      historyControllerRef.current?.abort();
+      setActiveSessionId(null);
+      setMessages([]);
+    }
+  }, [routeSessionId]);
+
+  // Deep links from search (?message=) may point into older pages: keep paging back until found
+  const hasFocusMessage = !!focusMessageId && messages.some(m => String(m.id) === focusMessageId);
+  useEffect(() => {
+    if (focusMessageId && !hasFocusMessage && !loading && olderCursor && !loadingOlder) {
+      loadOlderMessages();
+    }
+  }, [focusMessageId, hasFocusMessage, loading, olderCursor, loadingOlder]);
+
+  // /chat?journal=<id> (from the Journal view) opens the modal with that entry attached
+  useEffect(() => {
+    if (!attachJournalId) return;
+    setNewChatJournalId(attachJournalId);
+    setIsModalOpen(true);
+  }, [attachJournalId]);
+
+  const handleCreateChat = async (e) => {
+    e.preventDefault();
+    if (!newChatTitle) return;
+
+    try {
+      // 1. Create the session
+      const newSession = await api.request('/Chats/', {
+        method: 'POST',
+        body: JSON.stringify({ 
+          title: newChatTitle, 
+          AiMode: newChatMode 
+        })
+      });
+
+      // 2. Refresh list
+      await invalidateQueries(['chats']);
+      
+      // 3. Close modal, remembering any journal entry to open the conversation with
+      const journalEntry = journalEntries.find(entry => String(entry.id) === newChatJournalId);
+      if (journalEntry) {
+        openingPromptRef.current = {
+          sessionId: newSession.id,
+          mode: newChatMode,
+          content: `${t('chat.journalOpening', { date: formatDate(journalEntry.created_at) })}\n\n${journalEntry.title}\n\n${journalEntry.body}`,
+        };
+      }
+      setIsModalOpen(false);
+      setNewChatTitle('');
+      setNewChatJournalId('');
+      
+      // 4. Automatically switch to the new chat's URL, which loads its (empty) history
+      navigate(`/chat/${newSession.id}`);
+      
+    } catch (error) {
+      alert(t('chat.createFailed'));
+    }
+  };
+
+  // Applies the change locally right away, then PATCHes it and rolls back if the server refuses
+  const updateSession = async (session, changes) => {
+    const replaceSession = (next) => setSessions(prev => prev.map(s => s.id === session.id ? next : s));
+    replaceSession({ ...session, ...changes });
+    try {
+      const updated = await api.request(`/Chats/${session.id}/`, {
+        method: 'PATCH',
+        body: JSON.stringify(changes),
+      });
+      if (updated) replaceSession({ ...session, ...updated });
+    } catch (error) {
+      replaceSession(session);
+      setNotice({ message: t('chat.updateFailed', { title: session.title }) });
+    }
+  };
+
+  const handleDeleteSession = (session) => {
+    const index = sessions.findIndex(s => s.id === session.id);
+    const restore = () => setSessions(prev => {
+      const next = [...prev];
+      next.splice(Math.min(index, next.length), 0, session);
+      return next;
+    });
+
+    setSessions(prev => prev.filter(s => s.id !== session.id));
+    if (activeSessionId === session.id) navigate('/chat');
+
+    const timer = setTimeout(async () => {
+      pendingDeletesRef.current.delete(session.id);
+      setNotice(current => (current?.sessionId === session.id ? null : current));
+      try {
+        await api.request(`/Chats/${session.id}/`, { method: 'DELETE' });
+      } catch (error) {
+        restore();
+        setNotice({ message: t('chat.deleteFailed', { title: session.title }) });
+      }
+    }, UNDO_WINDOW_MS);
+    pendingDeletesRef.current.set(session.id, timer);
+
+    setNotice({
+      sessionId: session.id,
+      message: t('chat.deleted', { title: session.title }),
+      onUndo: () => {
+        clearTimeout(pendingDeletesRef.current.get(session.id));
+        pendingDeletesRef.current.delete(session.id);
+        restore();
+        setNotice(null);
+      },
+    });
+  };
+
+  const handleExportError = (error) => {
+    setNotice({ message: error.message || t('chat.exportFailed') });
+  };
+
+  const handleImportFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const count = await importChatExport(JSON.parse(await file.text()));
+      await invalidateQueries(['chats']);
+      setNotice({ message: t('chat.imported', { count }) });
+    } catch (error) {
+      setNotice({ message: error instanceof SyntaxError ? t('chat.importInvalidJson') : error.message });
+    }
+  };
+
+  const visibleSessions = sortSessions(
+    sessions.filter(s => !!s.archived === showArchived && matchesSessionQuery(s, sessionQuery))
+  );
+
+  // Scans text for crisis language; on a match shows the resources panel and reports the event
+  const checkSafety = (text, direction, sessionId) => {
+    const rules = detectCrisisLanguage(text);
+    if (rules.length === 0) return;
+    setShowSafetyPanel(true);
+    reportSafetyEvent({ direction, sessionId, rules, timestamp: new Date().toISOString() });
+  };
+
+  // Mirror outbox state onto the bubbles; replies to prompts flushed in the background
+  // (after reconnecting) are inserted right after their prompt
+  useEffect(() => {
+    const handleUpdate = ({ detail: { entry, reply, background } }) => {
+      setMessages(prev => {
+        const index = prev.findIndex(m => m.id === entry.id);
+        if (index === -1) return prev;
+        const next = [...prev];
+        next[index] = { ...next[index], status: entry.status };
+        if (background && reply) next.splice(index + 1, 0, makeMessage('assistant', reply));
+        return next;
+      });
+      if (background && reply) {
+        announceReply(reply);
+        checkSafety(reply, 'incoming', entry.sessionId);
+      }
+    };
+    outboxEvents.addEventListener('update', handleUpdate);
+    return () => outboxEvents.removeEventListener('update', handleUpdate);
+  }, []);
+
+  // Streams the reply for an outbox entry into the active chat
+  const streamReply = async (entry) => {
+    setLoading(true);
+    setStreamingText('');
+
+    const controller = new AbortController();
+    streamControllerRef.current = controller;
+    // Accumulated locally so the partial reply survives an abort or error
+    let replyText = '';
+
+    try {
+      const reply = await sendOutboxEntry(entry, {
+        signal: controller.signal,
+        onToken: (token) => {
+          replyText += token;
+          setStreamingText(replyText);
+        },
+      });
+      // null means a background flush is already delivering this prompt
+      if (reply !== null) {
+        setMessages(prev => [...prev, makeMessage('assistant', replyText)]);
+        announceReply(replyText);
+        if (voiceSettings.autoRead && canSpeak()) speakText(replyText, voiceSettings);
+        if (entry.replaceLast) reloadAfterReplace(entry.sessionId);
+      }
+    } catch (error) {
+      // The prompt bubble now shows its failed state with a retry button;
+      // keep whatever part of the reply had arrived
+      if (replyText) setMessages(prev => [...prev, makeMessage('assistant', replyText)]);
+    } finally {
+      if (replyText) checkSafety(replyText, 'incoming', entry.sessionId);
+      streamControllerRef.current = null;
+      setStreamingText(null);
       setLoading(false);
     }
   };
 
+  // The local transcript assumes the last exchange was replaced; show what the server kept instead
+  const reloadAfterReplace = async (sessionId) => {
+    const controller = historyControllerRef.current;
+    try {
+      const page = await fetchQuery(
+        ['chat-history', sessionId],
+        (signal) => fetchHistoryPage(sessionId, null, signal),
+        { signal: controller?.signal },
+      );
+      // Skipped if the user has moved to another session meanwhile
+      if (historyControllerRef.current !== controller) return;
+      setMessages(insertModeMarkers(page.messages));
+      setOlderCursor(page.olderCursor);
+    } catch (error) {
+      if (!isAbortError(error)) console.error("Failed to reload history", error);
+    }
+  };
+
+  const queueOrSend = async (entry) => {
+    if (!navigator.onLine) {
+      // Sent by flushOutbox once the browser reports it's back online
+      await persistOutboxEntry(entry);
+      return;
+    }
+    await streamReply(entry);
+  };
+
+  const sendPrompt = async (content, mode, options) => {
+    const entry = createOutboxEntry(activeSessionId, content, mode, options);
+    setMessages(prev => [...prev, { ...makeMessage('user', entry.content, entry.id), status: entry.status, mode }]);
+    // The message is still sent: the panel adds support, it doesn't block the conversation
+    checkSafety(entry.content, 'outgoing', activeSessionId);
+    await queueOrSend(entry);
+  };
+
+  const handleSendMessage = async (e) => {
+    e.preventDefault();
+    if (!input.trim() || !activeSessionId) return;
+
+    const activeSession = sessions.find(s => s.id === activeSessionId);
+    const content = input;
+    if (editing) {
+      // Whatever was being drafted before the edit comes back
+      setInput(editing.previousInput);
+      setEditing(null);
+      await resendFrom(editing.messageId, content);
+      return;
+    }
+    setInput('');
+    await sendPrompt(content, activeSession?.AiMode || DEFAULT_MODE_ID);
+  };
+
+  // Drafts are saved as they're typed; switching sessions swaps in the other session's draft.
+  // Keyed on input only, so the switch itself never writes one session's text into another.
+  useEffect(() => {
+    if (activeSessionId && !editing) saveDraft(activeSessionId, input);
+  }, [input]);
+
+  useEffect(() => {
+    setEditing(null);
+    setAnnouncements([]);
+    setInput(activeSessionId ? readDrafts()[activeSessionId] || '' : '');
+  }, [activeSessionId]);
+
+  // Grow with the content up to a cap, then scroll
+  useLayoutEffect(() => {
+    const el = composerRef.current;
+    if (!el) return;
+    el.style.height = 'auto';
+    el.style.height = `${Math.min(el.scrollHeight, COMPOSER_MAX_HEIGHT_PX)}px`;
+  }, [input, activeSessionId]);
+
+  // Only an exchange the server has seen can be replaced; queued or failed prompts use Retry
+  const lastUserMessage = [...messages].reverse().find(m => m.role === 'user');
+  const lastMessage = [...messages].reverse().find(m => m.role !== 'mode_switch');
+  const canRewrite = !loading && lastUserMessage && !['pending', 'failed', 'rejected'].includes(lastUserMessage.status);
+
+  // Replaces the last exchange, starting at `messageId`, with a new prompt and reply
+  const resendFrom = async (messageId, content) => {
+    const activeSession = sessions.find(s => s.id === activeSessionId);
+    setMessages(prev => {
+      // The message may have gone with a history reload; never cut the transcript blindly
+      const index = prev.findIndex(m => m.id === messageId);
+      return index === -1 ? prev : prev.slice(0, index);
+    });
+    await sendPrompt(content, activeSession?.AiMode || DEFAULT_MODE_ID, { replaceLast: true });
+  };
+
+  const startEditing = () => {
+    if (!canRewrite) return;
+    setEditing({ messageId: lastUserMessage.id, previousInput: input });
+    setInput(lastUserMessage.content);
+    composerRef.current?.focus();
+  };
+
+  const cancelEditing = () => {
+    setInput(editing.previousInput);
+    setEditing(null);
+  };
+
+  const handleRegenerate = () => {
+    if (canRewrite) resendFrom(lastUserMessage.id, lastUserMessage.content);
+  };
+
+  const handleComposerKeyDown = (e) => {
+    // Leave Enter alone while an IME is composing text
+    if (e.key === 'Enter' && !e.shiftKey && !e.nativeEvent.isComposing) {
+      e.preventDefault();
+      if (!loading) handleSendMessage(e);
+    } else if (e.key === 'ArrowUp' && !input) {
+      e.preventDefault();
+      startEditing();
+    } else if (e.key === 'Escape' && editing) {
+      cancelEditing();
+    }
+  };
+
+  // Sends the attached journal entry once its new session is open and loaded
+  useEffect(() => {
+    const opening = openingPromptRef.current;
+    if (!opening || loading || activeSessionId !== opening.sessionId) return;
+    openingPromptRef.current = null;
+    sendPrompt(opening.content, opening.mode);
+  }, [activeSessionId, loading]);
+
+  const handleRetryMessage = async (msg) => {
+    const activeSession = sessions.find(s => s.id === activeSessionId);
+    const entry = {
+      ...createOutboxEntry(activeSessionId, msg.content, activeSession?.AiMode || DEFAULT_MODE_ID),
+      id: msg.id,
+    };
+    setMessages(prev => prev.map(m => (m.id === msg.id ? { ...m, status: 'pending' } : m)));
+    await queueOrSend(entry);
+  };
+
+  // Later prompts use the new mode; the marker shows where in the transcript it changed
+  const handleSwitchMode = (modeId) => {
+    const session = sessions.find(s => s.id === activeSessionId);
+    if (!session || session.AiMode === modeId) return;
+    updateSession(session, { AiMode: modeId });
+    setMessages(prev => [...prev, makeModeMarker(modeId)]);
+  };
+
+  const handleStopStreaming = () => {
+    streamControllerRef.current?.abort();
+  };
+
   return (
     <div className="flex h-[calc(100vh-4rem)] bg-white rounded-lg shadow-sm overflow-hidden border border-gray-200">
       {/* Sidebar List */}
-      <div className="w-1/4 border-r border-gray-200 flex flex-col bg-gray-50">
+      <div className="w-1/4 border-e border-gray-200 flex flex-col bg-gray-50">
         <div className="p-4 border-b border-gray-200">
           <button 
             onClick={() => setIsModalOpen(true)}
             className="w-full flex items-center justify-center gap-2 bg-indigo-600 text-white px-4 py-2 rounded-md hover:bg-indigo-700 transition"
           >
-            <Plus size={18} /> New Chat
+            <Plus size={18} aria-hidden="true" /> {t('chat.newChat')}
+          </button>
+          <div className="mt-3 relative">
+            <Search size={16} className="absolute start-2 top-1/2 -translate-y-1/2 text-gray-400" aria-hidden="true" />
+            <input
+              type="search"
+              value={sessionQuery}
+              onChange={e => setSessionQuery(e.target.value)}
+              placeholder={t('chat.searchSessions')}
+              aria-label={t('chat.searchSessions')}
+              className="w-full border border-gray-300 rounded-md ps-8 pe-2 py-1.5 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+            />
+          </div>
+          <button
+            onClick={() => setShowArchived(v => !v)}
+            aria-pressed={showArchived}
+            className="mt-2 flex items-center gap-1 text-xs text-gray-500 hover:text-indigo-600"
+          >
+            <Archive size={14} /> {showArchived ? t('chat.backToActive') : t('chat.showArchived')}
           </button>
+          <div className="mt-2 flex items-center gap-3">
+            <ExportMenu
+              label={t('chat.exportAll')}
+              onExport={(format) => exportSessions(visibleSessions, format)}
+              onError={handleExportError}
+            />
+            <button
+              onClick={() => importInputRef.current.click()}
+              className="flex items-center gap-1 text-xs text-gray-500 hover:text-indigo-600"
+            >
+              <Upload size={14} /> {t('chat.import')}
+            </button>
+            <input
+              ref={importInputRef}
+              type="file"
+              accept="application/json,.json"
+              onChange={handleImportFile}
+              tabIndex={-1}
+              aria-hidden="true"
+              className="hidden"
+            />
+          </div>
         </div>
         <div className="flex-1 overflow-y-auto">
-          {sessions.map(session => (
-            <div 
-              key={session.id}
-              onClick={() => loadChatHistory(session.id)}
-              className={`p-4 border-b border-gray-100 cursor-pointer hover:bg-white transition ${activeSessionId === session.id ? 'bg-white border-l-4 border-l-indigo-500' : ''}`}
-            >
-              <h3 className="font-semibold text-gray-800 truncate">{session.title}</h3>
-              <div className="flex justify-between items-center mt-1">
-                <span className="text-xs px-2 py-0.5 rounded-full bg-indigo-100 text-indigo-700 capitalize">
-                  {session.AiMode}
-                </span>
-                <span className="text-xs text-gray-400">
-                  {new Date(session.last_updated).toLocaleDateString()}
-                </span>
-              </div>
-            </div>
-          ))}
+          <QueryStatus query={sessionsQuery}>
+            <ul aria-label={showArchived ? t('chat.archivedSessions') : t('chat.sessions')} onKeyDown={e => handleArrowNavigation(e, '[data-session-open]')}>
+              {visibleSessions.map(session => (
+                <SessionListItem
+                  key={session.id}
+                  session={session}
+                  isActive={activeSessionId === session.id}
+                  onOpen={() => navigate(`/chat/${session.id}`)}
+                  onRename={(title) => updateSession(session, { title })}
+                  onTogglePin={() => updateSession(session, { pinned: !session.pinned })}
+                  onToggleArchive={() => updateSession(session, { archived: !session.archived })}
+                  onDelete={() => handleDeleteSession(session)}
+                />
+              ))}
+            </ul>
+            {visibleSessions.length === 0 && (
+              <p className="p-4 text-sm text-gray-400">
+                {sessionQuery ? t('chat.noMatches') : showArchived ? t('chat.noArchived') : t('chat.noSessions')}
+              </p>
+            )}
+          </QueryStatus>
         </div>
+        {notice && (
+          <div role="status" className="m-3 p-3 rounded-md bg-gray-800 text-white text-sm flex items-center justify-between gap-2">
+            <span className="truncate">{notice.message}</span>
+            {notice.onUndo ? (
+              <button onClick={notice.onUndo} className="font-semibold text-indigo-300 hover:text-indigo-200 shrink-0">
+                {t('chat.undo')}
+              </button>
+            ) : (
+              <button onClick={() => setNotice(null)} title={t('chat.dismiss')} aria-label={t('chat.dismiss')} className="text-gray-400 hover:text-white shrink-0">
+                <X size={14} aria-hidden="true" />
+              </button>
+            )}
+          </div>
+        )}
       </div>
 
       {/* Main Chat Area */}
       <div className="flex-1 flex flex-col">
         {!activeSessionId ? (
           <div className="flex-1 flex flex-col items-center justify-center text-gray-400">
-            <MessageSquare size={48} className="mb-4 opacity-20" />
-            <p>Select a chat or start a new one</p>
+            <MessageSquare size={48} className="mb-4 opacity-20" aria-hidden="true" />
+            <p>{t('chat.selectPrompt')}</p>
           </div>
         ) : (
           <>
-            <div className="flex-1 overflow-y-auto p-6 space-y-4">
-              {messages.length === 0 && (
+            <div className="px-6 py-2 border-b border-gray-200 flex items-center justify-between">
+              <span className="font-semibold text-gray-800 truncate">
+                {sessions.find(s => s.id === activeSessionId)?.title}
+              </span>
+              <div className="flex items-center gap-2">
+                <label className="flex items-center gap-1 text-sm text-gray-600" title={t('chat.switchMode')}>
+                  <ModeIcon mode={findMode(modes, sessions.find(s => s.id === activeSessionId)?.AiMode)} className="text-indigo-600" />
+                  <select
+                    value={sessions.find(s => s.id === activeSessionId)?.AiMode || DEFAULT_MODE_ID}
+                    onChange={e => handleSwitchMode(e.target.value)}
+                    aria-label={t('chat.switchMode')}
+                    disabled={loading}
+                    className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+                  >
+                    {modes.map(mode => <option key={mode.id} value={mode.id}>{mode.name}</option>)}
+                  </select>
+                </label>
+                <VoiceSettingsMenu settings={voiceSettings} onChange={updateVoiceSettings} />
+                <ExportMenu
+                  label={t('chat.export')}
+                  align="end"
+                  onExport={(format) => exportSessions(sessions.filter(s => s.id === activeSessionId), format)}
+                  onError={handleExportError}
+                />
+              </div>
+            </div>
+            <VirtualMessageList
+              key={activeSessionId}
+              items={messages}
+              hasMore={!!olderCursor}
+              loadingMore={loadingOlder}
+              onLoadMore={loadOlderMessages}
+              label={t('chat.transcript')}
+              scrollToId={hasFocusMessage ? messages.find(m => String(m.id) === focusMessageId).id : null}
+              header={messages.length === 0 && (
                 <div className="text-center text-gray-400 mt-10">
-                  Start talking to your {sessions.find(s => s.id === activeSessionId)?.AiMode} AI...
+                  {t('chat.startTalking', { mode: findMode(modes, sessions.find(s => s.id === activeSessionId)?.AiMode).name })}
                 </div>
               )}
-              {messages.map((msg, idx) => (
-                <div key={idx} className={`flex ${msg.role === 'user' ? 'justify-end' : 'justify-start'}`}>
-                  <div className={`max-w-[70%] p-3 rounded-lg ${
+              renderItem={(msg) => msg.role === 'mode_switch' ? (
+                <div className="flex items-center gap-3 text-xs text-gray-400">
+                  <div className="flex-1 border-t border-gray-200" />
+                  <span className="flex items-center gap-1">
+                    <Repeat size={12} aria-hidden="true" /> {t('chat.switchedTo', { mode: findMode(modes, msg.mode).name })}
+                  </span>
+                  <div className="flex-1 border-t border-gray-200" />
+                </div>
+              ) : (
+                <div className={`flex ${msg.role === 'user' ? 'justify-end' : 'justify-start'}`}>
+                  <div dir="auto" className={`max-w-[70%] p-3 rounded-lg ${
                     msg.role === 'user' 
-                      ? 'bg-indigo-600 text-white rounded-br-none' 
-                      : 'bg-gray-100 text-gray-800 rounded-bl-none'
-                  }`}>
-                    <p className="whitespace-pre-wrap">{msg.content}</p>
+                      ? 'bg-indigo-600 text-white rounded-ee-none' 
+                      : 'bg-gray-100 text-gray-800 rounded-es-none'
+                  } ${String(msg.id) === focusMessageId ? 'ring-2 ring-yellow-400' : ''}`}>
+                    <MessageContent msg={msg} />
+                    {msg.role === 'assistant' && (
+                      <div className="flex items-center gap-2">
+                        <ReadAloudButton text={msg.content} settings={voiceSettings} />
+                        {msg === lastMessage && canRewrite && (
+                          <button
+                            type="button"
+                            onClick={handleRegenerate}
+                            title={t('chat.regenerate')}
+                            aria-label={t('chat.regenerate')}
+                            className="mt-1 text-gray-400 hover:text-indigo-600"
+                          >
+                            <RefreshCw size={14} aria-hidden="true" />
+                          </button>
+                        )}
+                      </div>
+                    )}
+                    {msg === lastUserMessage && canRewrite && !editing && (
+                      <button
+                        type="button"
+                        onClick={startEditing}
+                        title={t('chat.editMessage')}
+                        aria-label={t('chat.editMessage')}
+                        className="mt-1 opacity-75 hover:opacity-100"
+                      >
+                        <Pencil size={12} aria-hidden="true" />
+                      </button>
+                    )}
+                    {msg.status === 'pending' && (
+                      <p className="mt-1 text-xs text-end opacity-75">
+                        {isOnline ? t('chat.sending') : t('chat.waitingForConnection')}
+                      </p>
+                    )}
+                    {(msg.status === 'failed' || msg.status === 'rejected') && (
+                      <p className="mt-1 text-xs text-end opacity-90 flex items-center justify-end gap-2">
+                        {t('chat.notSent')}
+                        <button
+                          type="button"
+                          onClick={() => handleRetryMessage(msg)}
+                          className="flex items-center gap-1 font-semibold underline"
+                        >
+                          <RefreshCw size={12} /> {t('common.retry')}
+                        </button>
+                      </p>
+                    )}
                   </div>
                 </div>
+              )}
+              footer={
+                <>
+                  {streamingText && (
+                    <div className="flex justify-start">
+                      <div dir="auto" className="max-w-[70%] p-3 rounded-lg bg-gray-100 text-gray-800 rounded-es-none">
+                        <MarkdownMessage content={streamingText} />
+                      </div>
+                    </div>
+                  )}
+                  {loading && !streamingText && <div role="status" className="text-xs text-gray-400 animate-pulse">{t('chat.typing')}</div>}
+                </>
+              }
+            />
+            
+            <div role="log" aria-live="polite" aria-label={t('chat.newReplies')} className="sr-only">
+              {announcements.map(announcement => (
+                <p key={announcement.id}>{t('chat.replyAnnouncement', { text: toSpeechText(announcement.content) })}</p>
               ))}
-              {loading && <div className="text-xs text-gray-400 animate-pulse">AI is typing...</div>}
             </div>
             
             <div className="p-4 border-t border-gray-200 bg-white">
-              <form onSubmit={handleSendMessage} className="flex gap-2">
-                <input
-                  type="text"
+              {editing && (
+                <div className="mb-2 flex items-center justify-between text-xs text-gray-500">
+                  <span id="composer-editing-notice">{t('chat.editingNotice')}</span>
+                  <button type="button" onClick={cancelEditing} className="font-medium text-indigo-600 hover:text-indigo-800">
+                    {t('chat.cancelEditing')}
+                  </button>
+                </div>
+              )}
+              <form onSubmit={handleSendMessage} className="flex items-end gap-2">
+                <textarea
+                  ref={composerRef}
+                  rows={1}
                   value={input}
                   onChange={(e) => setInput(e.target.value)}
-                  placeholder="Type your message..."
-                  className="flex-1 border border-gray-300 rounded-md px-4 py-2 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                  onKeyDown={handleComposerKeyDown}
+                  dir="auto"
+                  aria-label={t('chat.message')}
+                  aria-describedby={editing ? 'composer-editing-notice' : undefined}
+                  placeholder={voiceInput.listening ? t('chat.listening') : voiceInput.transcribing ? t('chat.transcribing') : t('chat.composerPlaceholder')}
+                  className="flex-1 resize-none border border-gray-300 rounded-md px-4 py-2 focus:outline-none focus:ring-2 focus:ring-indigo-500"
                 />
-                <button 
-                  type="submit" 
-                  disabled={loading}
-                  className="bg-indigo-600 text-white p-2 rounded-md hover:bg-indigo-700 disabled:opacity-50"
-                >
-                  <Send size={20} />
-                </button>
+                {voiceInput.available && (
+                  <button
+                    type="button"
+                    onClick={voiceInput.listening ? voiceInput.stop : voiceInput.start}
+                    disabled={voiceInput.transcribing}
+                    title={voiceInput.listening ? t('chat.stopRecording') : t('chat.speak')}
+                    aria-label={voiceInput.listening ? t('chat.stopRecording') : t('chat.speak')}
+                    aria-pressed={voiceInput.listening}
+                    className={`p-2 rounded-md border disabled:opacity-50 ${voiceInput.listening ? 'bg-red-50 border-red-300 text-red-600 animate-pulse' : 'border-gray-300 text-gray-600 hover:bg-gray-50'}`}
+                  >
+                    {voiceInput.listening ? <MicOff size={20} aria-hidden="true" /> : <Mic size={20} aria-hidden="true" />}
+                  </button>
+                )}
+                {streamingText !== null ? (
+                  <button 
+                    type="button" 
+                    onClick={handleStopStreaming}
+                    title={t('chat.stopGenerating')}
+                    aria-label={t('chat.stopGenerating')}
+                    className="bg-gray-700 text-white p-2 rounded-md hover:bg-gray-800"
+                  >
+                    <Square size={20} aria-hidden="true" />
+                  </button>
+                ) : (
+                  <button 
+                    type="submit" 
+                    disabled={loading}
+                    title={t('chat.send')}
+                    aria-label={t('chat.send')}
+                    className="bg-indigo-600 text-white p-2 rounded-md hover:bg-indigo-700 disabled:opacity-50"
+                  >
+                    <Send size={20} className="rtl:-scale-x-100" aria-hidden="true" />
+                  </button>
+                )}
               </form>
+              {voiceInput.error && <p role="alert" className="mt-2 text-xs text-red-500">{voiceInput.error}</p>}
             </div>
           </>
         )}
       </div>
 
-      {/* New Chat Modal */}
-      {isModalOpen && (
-        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
-          <div className="bg-white rounded-lg p-6 w-96 shadow-xl">
-            <h2 className="text-xl font-bold mb-4">Start New Session</h2>
-            <form onSubmit={handleCreateChat}>
-              <div className="mb-4">
-                <label className="block text-sm font-medium text-gray-700 mb-1">Session Name</label>
-                <input 
-                  type="text" 
-                  required
-                  value={newChatTitle}
-                  onChange={e => setNewChatTitle(e.target.value)}
-                  className="w-full border border-gray-300 rounded-md px-3 py-2"
-                  placeholder="e.g., Anxiety about work"
-                />
-              </div>
-              <div className="mb-6">
-                <label className="block text-sm font-medium text-gray-700 mb-1">AI Mode</label>
-                <select 
-                  value={newChatMode}
-                  onChange={e => setNewChatMode(e.target.value)}
-                  className="w-full border border-gray-300 rounded-md px-3 py-2"
-                >
-                  <option value="specialist">specialist</option>
-                  <option value="counselor">Counselor</option>
-                </select>
-              </div>
-              <div className="flex justify-end gap-2">
-                <button 
-                  type="button" 
-                  onClick={() => setIsModalOpen(false)}
-                  className="px-4 py-2 text-gray-600 hover:bg-gray-100 rounded-md"
-                >
-                  Cancel
-                </button>
-                <button 
-                  type="submit" 
-                  className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700"
-                >
-                  Start Chat
-                </button>
-              </div>
-            </form>
-          </div>
+      {showSafetyPanel && <SafetyResourcesPanel onClose={() => setShowSafetyPanel(false)} />}
+
+      {/* New Chat Modal */}
+      {isModalOpen && (
+        <Dialog labelledBy="new-chat-title" onClose={() => setIsModalOpen(false)} className="p-6 w-96">
+          <h2 id="new-chat-title" className="text-xl font-bold mb-4">{t('chat.modal.title')}</h2>
+          <form onSubmit={handleCreateChat}>
+            <div className="mb-4">
+              <label htmlFor="new-chat-name" className="block text-sm font-medium text-gray-700 mb-1">{t('chat.modal.name')}</label>
+              <input 
+                id="new-chat-name"
+                type="text" 
+                required
+                autoFocus
+                value={newChatTitle}
+                onChange={e => setNewChatTitle(e.target.value)}
+                className="w-full border border-gray-300 rounded-md px-3 py-2"
+                placeholder={t('chat.modal.namePlaceholder')}
+              />
+            </div>
+            <div className="mb-6">
+              <p id="new-chat-mode-label" className="block text-sm font-medium text-gray-700 mb-1">{t('chat.modal.mode')}</p>
+              <ModePicker modes={modes} value={newChatMode} onChange={setNewChatMode} labelledBy="new-chat-mode-label" />
+            </div>
+            {journalEntries.length > 0 && (
+              <div className="mb-6">
+                <label htmlFor="new-chat-journal" className="block text-sm font-medium text-gray-700 mb-1">{t('chat.modal.journal')}</label>
+                <select
+                  id="new-chat-journal"
+                  value={newChatJournalId}
+                  onChange={e => setNewChatJournalId(e.target.value)}
+                  className="w-full border border-gray-300 rounded-md px-3 py-2"
+                >
+                  <option value="">{t('chat.modal.none')}</option>
+                  {journalEntries.map(entry => (
+                    <option key={entry.id} value={String(entry.id)}>
+                      {entry.title} · {formatDate(entry.created_at)}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+            <div className="flex justify-end gap-2">
+              <button 
+                type="button" 
+                onClick={() => setIsModalOpen(false)}
+                className="px-4 py-2 text-gray-600 hover:bg-gray-100 rounded-md"
+              >
+                {t('common.cancel')}
+              </button>
+              <button 
+                type="submit" 
+                className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700"
+              >
+                {t('chat.modal.start')}
+              </button>
+            </div>
+          </form>
+        </Dialog>
+      )}
+    </div>
+  );
+};
+
+// --- Team Component ---
+const TEAM_ROLES = ['owner', 'clinician', 'member'];
+const USER_SEARCH_DEBOUNCE_MS = 250;
+
+// Older teams store members as bare usernames; newer ones as { username, role, ... }
+const normalizeMember = (member) => (typeof member === 'string'
+  ? { username: member, role: 'member' }
+  : { ...member, username: member.username || member.name || member.email || null, role: member.role || 'member' });
+
+const getTeamMembers = (team) => (Array.isArray(team.content) ? team.content.map(normalizeMember) : []);
+
+// Username suggestions for the add-member field; an empty list if the backend has no user search
+const useUserSuggestions = (query) => {
+  const [suggestions, setSuggestions] = useState([]);
+
+  useEffect(() => {
+    if (query.trim().length < 2) {
+      setSuggestions([]);
+      return;
+    }
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      try {
+        const data = await api.request(`/users/?search=${encodeURIComponent(query.trim())}`, { signal: controller.signal });
+        setSuggestions((data.results || data).map(user => user.username));
+      } catch (e) {
+        if (!isAbortError(e)) setSuggestions([]);
+      }
+    }, USER_SEARCH_DEBOUNCE_MS);
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [query]);
+
+  return suggestions;
+};
+
+const MemberCard = ({ member, isEditing, onChangeRole, onRemove }) => {
+  const { t } = useI18n();
+  const name = member.username ?? t('team.unknownMember');
+  return (
+    <div className="flex items-center gap-3 p-2 rounded-md border border-gray-100 bg-gray-50">
+      <div className="h-8 w-8 rounded-full bg-indigo-100 text-indigo-700 flex items-center justify-center font-semibold uppercase shrink-0">
+        {name.charAt(0)}
+      </div>
+      <div className="flex-1 min-w-0">
+        <p className="text-sm font-medium text-gray-900 truncate">{name}</p>
+        {member.email && <p className="text-xs text-gray-500 truncate">{member.email}</p>}
+      </div>
+      {isEditing ? (
+        <>
+          <select
+            value={member.role}
+            onChange={e => onChangeRole(e.target.value)}
+            aria-label={t('team.roleFor', { username: name })}
+            className="border border-gray-300 rounded px-1 py-0.5 text-xs"
+          >
+            {TEAM_ROLES.map(role => <option key={role} value={role}>{t(`team.role.${role}`)}</option>)}
+          </select>
+          <button onClick={onRemove} title={t('team.removeMember', { username: name })} aria-label={t('team.removeMember', { username: name })} className="text-gray-400 hover:text-red-600">
+            <X size={16} aria-hidden="true" />
+          </button>
+        </>
+      ) : (
+        <span className="text-xs px-2 py-0.5 rounded-full bg-indigo-100 text-indigo-700">
+          {TEAM_ROLES.includes(member.role) ? t(`team.role.${member.role}`) : member.role}
+        </span>
+      )}
+    </div>
+  );
+};
+
+const TeamCard = ({ team, onSaveMembers, onDelete }) => {
+  const { user, can } = useAuth();
+  const { t } = useI18n();
+  const [isEditing, setIsEditing] = useState(false);
+  const [newMember, setNewMember] = useState('');
+  const suggestions = useUserSuggestions(isEditing ? newMember : '');
+  const members = getTeamMembers(team);
+  const datalistId = `team-${team.id}-users`;
+  // Team owners can manage their own team even without the global permission
+  const canEdit = can('teams.edit') || members.some(m => m.username === user?.username && m.role === 'owner');
+
+  const handleAddMember = (e) => {
+    e.preventDefault();
+    const username = newMember.trim();
+    if (!username) return;
+    if (members.some(m => m.username?.toLowerCase() === username.toLowerCase())) {
+      setNewMember('');
+      return;
+    }
+    onSaveMembers([...members, { username, role: 'member' }]);
+    setNewMember('');
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-sm border border-gray-200">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-gray-900">{team.teamname}</h3>
+        {isEditing ? (
+          <button onClick={onDelete} title={t('team.delete')} aria-label={t('team.deleteNamed', { name: team.teamname })} className="text-gray-400 hover:text-red-600">
+            <Trash2 size={18} aria-hidden="true" />
+          </button>
+        ) : (
+          <Users className="text-indigo-500" size={20} aria-hidden="true" />
+        )}
+      </div>
+      <div className="mb-4">
+        <p className="text-sm text-gray-500 font-medium mb-2">{t('team.members')}</p>
+        <div className="space-y-2">
+          {members.map((member, i) => (
+            <MemberCard
+              key={member.username ?? `unknown-${i}`}
+              member={member}
+              isEditing={isEditing}
+              onChangeRole={(role) => onSaveMembers(members.map(m => (m === member ? { ...m, role } : m)))}
+              onRemove={() => onSaveMembers(members.filter(m => m !== member))}
+            />
+          ))}
+          {members.length === 0 && <span className="text-xs text-gray-400">{t('team.noMembers')}</span>}
+        </div>
+        {isEditing && (
+          <form onSubmit={handleAddMember} className="flex gap-2 mt-3">
+            <input
+              type="text"
+              list={datalistId}
+              value={newMember}
+              onChange={e => setNewMember(e.target.value)}
+              placeholder={t('team.addPlaceholder')}
+              aria-label={t('team.addPlaceholder')}
+              className="flex-1 min-w-0 border border-gray-300 rounded-md px-2 py-1 text-sm"
+            />
+            <datalist id={datalistId}>
+              {suggestions.map(username => <option key={username} value={username} />)}
+            </datalist>
+            <button type="submit" className="px-3 py-1 bg-indigo-600 text-white text-sm rounded-md hover:bg-indigo-700">
+              {t('team.add')}
+            </button>
+          </form>
+        )}
+      </div>
+      {canEdit && (
+        <button
+          onClick={() => setIsEditing(v => !v)}
+          aria-pressed={isEditing}
+          className="text-sm text-indigo-600 hover:text-indigo-800 font-medium"
+        >
+          {isEditing ? t('team.done') : t('team.editMembers')}
+        </button>
+      )}
+    </div>
+  );
+};
+
+const TeamMembersView = () => {
+  const { can } = useAuth();
+  const { t } = useI18n();
+  const teamsQuery = useQuery(['teams'], (signal) => api.request('/TeamMembers/', { signal }));
+  const teams = teamsQuery.data || [];
+  const setTeams = (updater) => setQueryData(['teams'], (prev = []) => updater(prev));
+  const [newTeamName, setNewTeamName] = useState('');
+  const [notice, setNotice] = useState('');
+
+  const replaceTeam = (team) => setTeams(prev => prev.map(other => (other.id === team.id ? team : other)));
+
+  const handleCreateTeam = async (e) => {
+    e.preventDefault();
+    const teamname = newTeamName.trim();
+    if (!teamname) return;
+    try {
+      const team = await api.request('/TeamMembers/', {
+        method: 'POST',
+        body: JSON.stringify({ teamname, content: [] }),
+      });
+      setTeams(prev => [...prev, team]);
+      setNewTeamName('');
+    } catch (error) {
+      setNotice(t('team.createFailed', { message: error.message }));
+    }
+  };
+
+  const handleDeleteTeam = async (team) => {
+    if (!window.confirm(t('team.confirmDelete', { name: team.teamname }))) return;
+    setTeams(prev => prev.filter(other => other.id !== team.id));
+    try {
+      await api.request(`/TeamMembers/${team.id}/`, { method: 'DELETE' });
+    } catch (error) {
+      setTeams(prev => [...prev, team]);
+      setNotice(t('team.deleteFailed', { name: team.teamname, message: error.message }));
+    }
+  };
+
+  // Optimistic: the card updates immediately. The team's `version` (when the backend provides
+  // one) lets the server reject edits made on stale data with 409/412; we then reload that team.
+  const handleSaveMembers = async (team, members) => {
+    replaceTeam({ ...team, content: members });
+    try {
+      const updated = await api.request(`/TeamMembers/${team.id}/`, {
+        method: 'PATCH',
+        body: JSON.stringify({ content: members, ...(team.version != null && { version: team.version }) }),
+      });
+      if (updated) replaceTeam(updated);
+    } catch (error) {
+      if (error.status === 409 || error.status === 412) {
+        const latest = await api.request(`/TeamMembers/${team.id}/`).catch(() => team);
+        replaceTeam(latest);
+        setNotice(t('team.conflict', { name: team.teamname }));
+      } else {
+        replaceTeam(team);
+        setNotice(t('team.updateFailed', { name: team.teamname, message: error.message }));
+      }
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <h2 className="text-2xl font-bold text-gray-800">{t('team.title')}</h2>
+        {can('teams.edit') && <form onSubmit={handleCreateTeam} className="flex gap-2">
+          <input
+            type="text"
+            value={newTeamName}
+            onChange={e => setNewTeamName(e.target.value)}
+            placeholder={t('team.newPlaceholder')}
+            aria-label={t('team.newPlaceholder')}
+            className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+          />
+          <button type="submit" className="flex items-center gap-1 px-4 py-2 bg-indigo-600 text-white text-sm rounded-md hover:bg-indigo-700">
+            <Plus size={16} aria-hidden="true" /> {t('team.create')}
+          </button>
+        </form>}
+      </div>
+      {notice && (
+        <div role="status" className="flex items-center justify-between gap-2 p-3 rounded-md bg-amber-50 border border-amber-200 text-amber-800 text-sm">
+          <span>{notice}</span>
+          <button onClick={() => setNotice('')} title={t('common.dismiss')} aria-label={t('common.dismiss')} className="text-amber-600 hover:text-amber-800">
+            <X size={16} aria-hidden="true" />
+          </button>
+        </div>
+      )}
+      <QueryStatus
+        query={teamsQuery}
+        isEmpty={teams.length === 0}
+        empty={<p className="text-gray-500">{t('team.empty')}</p>}
+      >
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+          {teams.map(team => (
+            <TeamCard
+              key={team.id}
+              team={team}
+              onSaveMembers={(members) => handleSaveMembers(team, members)}
+              onDelete={() => handleDeleteTeam(team)}
+            />
+          ))}
+        </div>
+      </QueryStatus>
+    </div>
+  );
+};
+
+// --- Problems Component ---
+const PROBLEM_STATUSES = ['open', 'improving', 'resolved'];
+const SEVERITY_MAX = 10;
+// Some assessments carry a label instead of a 0-10 score
+const SEVERITY_LABELS = { low: 3, mild: 3, moderate: 5, medium: 5, high: 7, severe: 8, critical: 9 };
+
+const STATUS_STYLES = {
+  open: 'bg-orange-100 text-orange-700',
+  improving: 'bg-sky-100 text-sky-700',
+  resolved: 'bg-green-100 text-green-700',
+};
+
+const severityColor = (severity) => {
+  if (severity == null) return '#9ca3af';
+  if (severity >= 7) return '#e11d48';
+  if (severity >= 4) return '#f59e0b';
+  return '#10b981';
+};
+
+const parseSeverity = (value) => {
+  if (value == null || value === '') return null;
+  const numeric = Number(value);
+  if (!Number.isNaN(numeric)) return Math.min(SEVERITY_MAX, Math.max(0, numeric));
+  return SEVERITY_LABELS[String(value).toLowerCase()] ?? null;
+};
+
+// Maps a /Problems/ record onto the fields the view works with, tolerating older records
+// that only have `content`
+const normalizeProblem = (prob, i) => ({
+  id: prob.id ?? `problem-${i}`,
+  date: prob.created_at || prob.date || prob.timestamp || null,
+  sessionId: prob.chat ?? prob.session ?? null,
+  sessionTitle: prob.chat_title || prob.session_title || null,
+  // Uncategorised problems are labelled at display time so the label follows the locale
+  category: prob.category || null,
+  severity: parseSeverity(prob.severity),
+  status: PROBLEM_STATUSES.includes(prob.status) ? prob.status : 'open',
+  content: prob.content || prob.summary || '',
+});
+
+const PROBLEM_SORTS = {
+  newest: (a, b) => new Date(b.date || 0) - new Date(a.date || 0),
+  oldest: (a, b) => new Date(a.date || 0) - new Date(b.date || 0),
+  severity: (a, b) => (b.severity ?? -1) - (a.severity ?? -1),
+};
+
+const CHART_WIDTH = 640;
+const CHART_HEIGHT = 180;
+const CHART_PADDING = 28;
+
+// Severity of each dated assessment over time, as a simple SVG line chart
+const SeverityTimeline = ({ problems }) => {
+  const { t, formatDate } = useI18n();
+  const points = problems
+    .filter(p => p.date && p.severity != null)
+    .sort(PROBLEM_SORTS.oldest);
+
+  if (points.length < 2) {
+    return <p className="text-sm text-gray-400">{t('problems.trendEmpty')}</p>;
+  }
+
+  const firstTime = new Date(points[0].date).getTime();
+  const span = Math.max(1, new Date(points[points.length - 1].date).getTime() - firstTime);
+  const x = (p) => CHART_PADDING + ((new Date(p.date).getTime() - firstTime) / span) * (CHART_WIDTH - CHART_PADDING * 2);
+  const y = (p) => CHART_HEIGHT - CHART_PADDING - (p.severity / SEVERITY_MAX) * (CHART_HEIGHT - CHART_PADDING * 2);
+
+  return (
+    <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="w-full h-auto" role="img" aria-label={t('problems.severityChart')}>
+      {[0, 5, 10].map(level => {
+        const ly = CHART_HEIGHT - CHART_PADDING - (level / SEVERITY_MAX) * (CHART_HEIGHT - CHART_PADDING * 2);
+        return (
+          <g key={level}>
+            <line x1={CHART_PADDING} x2={CHART_WIDTH - CHART_PADDING} y1={ly} y2={ly} stroke="#e5e7eb" />
+            <text x={4} y={ly + 4} fontSize="10" fill="#9ca3af">{formatNumber(level)}</text>
+          </g>
+        );
+      })}
+      <polyline
+        fill="none"
+        stroke="#6366f1"
+        strokeWidth="2"
+        points={points.map(p => `${x(p)},${y(p)}`).join(' ')}
+      />
+      {points.map(p => (
+        <circle key={p.id} cx={x(p)} cy={y(p)} r="4" fill={severityColor(p.severity)}>
+          <title>{t('problems.pointTitle', { date: formatDate(p.date), category: p.category ?? t('problems.generalCategory'), severity: formatNumber(p.severity) })}</title>
+        </circle>
+      ))}
+      <text x={CHART_PADDING} y={CHART_HEIGHT - 6} fontSize="10" fill="#9ca3af">
+        {formatDate(points[0].date)}
+      </text>
+      <text x={CHART_WIDTH - CHART_PADDING} y={CHART_HEIGHT - 6} fontSize="10" fill="#9ca3af" textAnchor="end">
+        {formatDate(points[points.length - 1].date)}
+      </text>
+    </svg>
+  );
+};
+
+const ProblemsView = () => {
+  const { can } = useAuth();
+  const { t, formatDate } = useI18n();
+  // Clinicians can look up another user's assessments; empty means "my own"
+  const [patientQuery, setPatientQuery] = useState('');
+  const [patient, setPatient] = useState('');
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [categoryFilter, setCategoryFilter] = useState('all');
+  const [sortBy, setSortBy] = useState('newest');
+  const problemsQuery = useQuery(['problems', patient], async (signal) => {
+    const endpoint = patient ? `/Problems/?user=${encodeURIComponent(patient)}` : '/Problems/';
+    return (await api.request(endpoint, { signal })).map(normalizeProblem);
+  });
+  const problems = problemsQuery.data || [];
+
+  // Filter values are strings, so the missing category is the empty one
+  const categories = [...new Set(problems.map(p => p.category ?? ''))].sort();
+  const visibleProblems = problems
+    .filter(p => statusFilter === 'all' || p.status === statusFilter)
+    .filter(p => categoryFilter === 'all' || (p.category ?? '') === categoryFilter)
+    .sort(PROBLEM_SORTS[sortBy]);
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <h2 className="text-2xl font-bold text-gray-800">
+          {patient ? t('problems.titleFor', { patient }) : t('problems.title')}
+        </h2>
+        {can('problems.view_others') && (
+          <form
+            onSubmit={(e) => { e.preventDefault(); setPatient(patientQuery.trim()); }}
+            className="flex gap-2"
+          >
+            <input
+              type="text"
+              value={patientQuery}
+              onChange={e => setPatientQuery(e.target.value)}
+              placeholder={t('problems.patientPlaceholder')}
+              aria-label={t('problems.patientPlaceholder')}
+              className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+            />
+            <button type="submit" className="px-4 py-2 bg-indigo-600 text-white text-sm rounded-md hover:bg-indigo-700">
+              {t('problems.view')}
+            </button>
+          </form>
+        )}
+      </div>
+      <QueryStatus
+        query={problemsQuery}
+        isEmpty={problems.length === 0}
+        empty={
+          <div className="text-center py-10 bg-white rounded-lg border border-dashed border-gray-300">
+            <p className="text-gray-500">{t('problems.empty')}</p>
+          </div>
+        }
+      >
+        <div className="bg-white p-6 rounded-lg shadow-sm border border-gray-200">
+          <h3 className="font-semibold text-gray-900 mb-3">{t('problems.severityChart')}</h3>
+          <SeverityTimeline problems={visibleProblems} />
+        </div>
+        <div className="flex flex-wrap gap-3 text-sm">
+          <select value={statusFilter} onChange={e => setStatusFilter(e.target.value)} aria-label={t('problems.filterStatus')} className="border border-gray-300 rounded-md px-2 py-1.5">
+            <option value="all">{t('problems.allStatuses')}</option>
+            {PROBLEM_STATUSES.map(status => <option key={status} value={status}>{t(`problems.status.${status}`)}</option>)}
+          </select>
+          <select value={categoryFilter} onChange={e => setCategoryFilter(e.target.value)} aria-label={t('problems.filterCategory')} className="border border-gray-300 rounded-md px-2 py-1.5">
+            <option value="all">{t('problems.allCategories')}</option>
+            {categories.map(category => <option key={category} value={category}>{category || t('problems.generalCategory')}</option>)}
+          </select>
+          <select value={sortBy} onChange={e => setSortBy(e.target.value)} aria-label={t('problems.sortBy')} className="border border-gray-300 rounded-md px-2 py-1.5">
+            {Object.keys(PROBLEM_SORTS).map(sort => <option key={sort} value={sort}>{t(`problems.sort.${sort}`)}</option>)}
+          </select>
+        </div>
+        <div className="grid gap-4">
+          {visibleProblems.map(prob => (
+            <div
+              key={prob.id}
+              className="bg-white p-6 rounded-lg shadow-sm border border-s-4 border-gray-200"
+              style={{ borderInlineStartColor: severityColor(prob.severity) }}
+            >
+              <div className="flex items-start gap-4">
+                <AlertCircle className="shrink-0 mt-1" style={{ color: severityColor(prob.severity) }} aria-hidden="true" />
+                <div className="flex-1 min-w-0">
+                  <div className="flex flex-wrap items-center gap-2 mb-2">
+                    <h4 className="font-semibold text-gray-900">{prob.category ?? t('problems.generalCategory')}</h4>
+                    <span className={`text-xs px-2 py-0.5 rounded-full ${STATUS_STYLES[prob.status]}`}>
+                      {t(`problems.status.${prob.status}`)}
+                    </span>
+                    {prob.severity != null && (
+                      <span className="text-xs px-2 py-0.5 rounded-full bg-gray-100 text-gray-700">
+                        {t('problems.severity', { severity: formatNumber(prob.severity), max: formatNumber(SEVERITY_MAX) })}
+                      </span>
+                    )}
+                    {prob.date && (
+                      <span className="text-xs text-gray-400 ms-auto">{formatDate(prob.date)}</span>
+                    )}
+                  </div>
+                  <p className="text-gray-600 leading-relaxed whitespace-pre-wrap">{prob.content}</p>
+                  {prob.sessionId != null && (
+                    <button
+                      onClick={() => navigate(`/chat/${prob.sessionId}`)}
+                      className="mt-3 flex items-center text-sm text-indigo-600 hover:text-indigo-800 font-medium"
+                    >
+                      {t('problems.fromSession', { title: prob.sessionTitle || `#${prob.sessionId}` })} <ChevronRight size={16} className="ms-1 rtl:rotate-180" aria-hidden="true" />
+                    </button>
+                  )}
+                </div>
+              </div>
+            </div>
+          ))}
+          {visibleProblems.length === 0 && (
+            <p className="text-gray-500">{t('problems.noMatches')}</p>
+          )}
+        </div>
+      </QueryStatus>
+    </div>
+  );
+};
+
+// --- Search Component ---
+const SEARCH_DEBOUNCE_MS = 250;
+
+const SearchView = () => {
+  const { t, formatDate } = useI18n();
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  // Local fallback index, built on the first search and reused for the rest of the visit
+  const localIndexRef = useRef(null);
+
+  useEffect(() => {
+    if (!query.trim()) {
+      setResults([]);
+      return;
+    }
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      setLoading(true);
+      setError('');
+      try {
+        setResults(await searchMessages(query, localIndexRef, controller.signal));
+      } catch (e) {
+        if (isAbortError(e)) return;
+        console.error(e);
+        setError(t('search.failed'));
+      } finally {
+        if (!controller.signal.aborted) setLoading(false);
+      }
+    }, SEARCH_DEBOUNCE_MS);
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [query]);
+
+  return (
+    <div className="space-y-6">
+      <h2 className="text-2xl font-bold text-gray-800">{t('search.title')}</h2>
+      <div className="relative">
+        <Search size={18} className="absolute start-3 top-1/2 -translate-y-1/2 text-gray-400" aria-hidden="true" />
+        <input
+          type="search"
+          autoFocus
+          value={query}
+          onChange={e => setQuery(e.target.value)}
+          placeholder={t('search.placeholder')}
+          aria-label={t('search.title')}
+          className="w-full border border-gray-300 rounded-lg ps-10 pe-4 py-3 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+        />
+      </div>
+      <p role="status" className="sr-only">
+        {!loading && !error && query.trim() ? t('search.resultCount', { count: results.length }) : ''}
+      </p>
+      {loading && <p className="text-sm text-gray-400 animate-pulse">{t('search.searching')}</p>}
+      {error && <p role="alert" className="text-red-500 text-sm">{error}</p>}
+      <div className="grid gap-3">
+        {results.map(result => (
+          <button
+            key={`${result.sessionId}-${result.messageId}`}
+            onClick={() => navigate(`/chat/${result.sessionId}?message=${encodeURIComponent(result.messageId)}`)}
+            className="text-start bg-white p-4 rounded-lg shadow-sm border border-gray-200 hover:border-indigo-300 hover:shadow-md transition"
+          >
+            <div className="flex justify-between items-center mb-2">
+              <span className="font-semibold text-gray-900 truncate">{result.sessionTitle}</span>
+              <span className="text-xs text-gray-400 shrink-0 ms-2">
+                {result.date && formatDate(result.date)}
+              </span>
+            </div>
+            <p className="text-sm text-gray-600">
+              <span className="text-xs uppercase text-gray-400 me-2">{roleLabel(result.role)}</span>
+              {buildSnippet(result.content, query).map((part, i) => (
+                part.match
+                  ? <mark key={i} className="bg-yellow-200 text-gray-900 rounded px-0.5">{part.text}</mark>
+                  : <span key={i}>{part.text}</span>
+              ))}
+            </p>
+          </button>
+        ))}
+        {!loading && !error && query.trim() && results.length === 0 && (
+          <div className="text-center py-10 bg-white rounded-lg border border-dashed border-gray-300">
+            <p className="text-gray-500">{t('search.noResults', { query })}</p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// --- Mood Check-ins ---
+const MOOD_SCALE = [
+  { value: 1, color: '#f43f5e' },
+  { value: 2, color: '#fb923c' },
+  { value: 3, color: '#facc15' },
+  { value: 4, color: '#84cc16' },
+  { value: 5, color: '#10b981' },
+];
+const MOOD_TAGS = ['sleep', 'work', 'family', 'relationships', 'health', 'anxiety', 'exercise', 'social'];
+const HEATMAP_WEEKS = 12;
+const MOOD_TREND_DAYS = 30;
+
+const moodColor = (mood) => MOOD_SCALE[Math.round(mood) - 1]?.color || '#e5e7eb';
+
+// Average mood per local day
+const averageMoodByDay = (checkins) => {
+  const byDay = new Map();
+  for (const checkin of checkins) {
+    const key = toDateKey(checkin.created_at);
+    const day = byDay.get(key) || { total: 0, count: 0 };
+    byDay.set(key, { total: day.total + checkin.mood, count: day.count + 1 });
+  }
+  return new Map([...byDay].map(([key, day]) => [key, day.total / day.count]));
+};
+
+const MoodCheckInCard = ({ onSaved }) => {
+  const { t, formatNumber } = useI18n();
+  const [mood, setMood] = useState(null);
+  const [tags, setTags] = useState([]);
+  const [note, setNote] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const toggleTag = (tag) => setTags(prev => (prev.includes(tag) ? prev.filter(other => other !== tag) : [...prev, tag]));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!mood) return;
+    setSaving(true);
+    setError('');
+    try {
+      const created = await moodStore.create({ mood, tags, note: note.trim() });
+      setMood(null);
+      setTags([]);
+      setNote('');
+      onSaved(created);
+    } catch (err) {
+      setError(err.message || t('mood.saveFailed'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-white p-6 rounded-xl shadow-sm border border-gray-200">
+      <h2 id="mood-question" className="text-lg font-bold text-gray-900 mb-3 flex items-center gap-2">
+        <Smile size={20} className="text-indigo-600" aria-hidden="true" /> {t('mood.question')}
+      </h2>
+      <div role="group" aria-labelledby="mood-question" className="flex gap-2 mb-4">
+        {MOOD_SCALE.map(option => (
+          <button
+            key={option.value}
+            type="button"
+            onClick={() => setMood(option.value)}
+            aria-pressed={mood === option.value}
+            className={`flex-1 py-2 rounded-md border text-xs font-medium transition ${mood === option.value ? 'text-white border-transparent' : 'text-gray-600 border-gray-200 hover:bg-gray-50'}`}
+            style={mood === option.value ? { backgroundColor: option.color } : undefined}
+          >
+            {formatNumber(option.value)}<br />{t(`mood.level.${option.value}`)}
+          </button>
+        ))}
+      </div>
+      <div role="group" aria-label={t('mood.tags')} className="flex flex-wrap gap-2 mb-4">
+        {MOOD_TAGS.map(tag => (
+          <button
+            key={tag}
+            type="button"
+            onClick={() => toggleTag(tag)}
+            aria-pressed={tags.includes(tag)}
+            className={`px-2 py-1 rounded-full text-xs ${tags.includes(tag) ? 'bg-indigo-600 text-white' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'}`}
+          >
+            {t(`mood.tag.${tag}`)}
+          </button>
+        ))}
+      </div>
+      <textarea
+        value={note}
+        onChange={e => setNote(e.target.value)}
+        placeholder={t('mood.notePlaceholder')}
+        aria-label={t('mood.notePlaceholder')}
+        rows={2}
+        className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm mb-3"
+      />
+      {error && <p role="alert" className="text-red-500 text-sm mb-2">{error}</p>}
+      <button
+        type="submit"
+        disabled={!mood || saving}
+        className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 disabled:opacity-50"
+      >
+        {saving ? t('mood.saving') : t('mood.checkIn')}
+      </button>
+    </form>
+  );
+};
+
+// Last few weeks as a GitHub-style calendar, one column per week
+const MoodHeatmap = ({ checkins }) => {
+  const { t, formatDate, formatNumber } = useI18n();
+  const moods = averageMoodByDay(checkins);
+  const today = new Date();
+  const start = addDays(today, -(HEATMAP_WEEKS * 7 - 1) - today.getDay());
+  const weeks = Array.from({ length: HEATMAP_WEEKS + 1 }, (_, week) =>
+    Array.from({ length: 7 }, (_, day) => addDays(start, week * 7 + day))
+  );
+
+  return (
+    <div className="flex gap-1" role="img" aria-label={t('mood.heatmap', { count: HEATMAP_WEEKS })}>
+      {weeks.map((days, i) => (
+        <div key={i} className="flex flex-col gap-1">
+          {days.map(day => {
+            const key = toDateKey(day);
+            const mood = moods.get(key);
+            return (
+              <div
+                key={key}
+                title={mood ? t('mood.dayTitle', { date: formatDate(day), mood: formatNumber(mood, { maximumFractionDigits: 1 }) }) : formatDate(day)}
+                className={`h-3 w-3 rounded-sm ${day > today ? 'invisible' : ''}`}
+                style={{ backgroundColor: mood ? moodColor(mood) : '#f3f4f6' }}
+              />
+            );
+          })}
         </div>
-      )}
+      ))}
     </div>
   );
 };
 
-// --- Team Component ---
-const TeamMembersView = () => {
-  const [teams, setTeams] = useState([]);
-  const [loading, setLoading] = useState(false);
-  
-  // Simple view for demo: Fetch all teams
-  useEffect(() => {
-    const fetchTeams = async () => {
-      setLoading(true);
-      try {
-        const data = await api.request('/TeamMembers/');
-        setTeams(data);
-      } catch (e) {
-        console.error(e);
-      } finally {
-        setLoading(false);
-      }
-    };
-    fetchTeams();
-  }, []);
+const MOOD_CHART_WIDTH = 640;
+const MOOD_CHART_HEIGHT = 160;
+const MOOD_CHART_PADDING = 24;
+
+// Daily average mood over the last month
+const MoodTrendChart = ({ checkins }) => {
+  const { t, formatDate, formatNumber } = useI18n();
+  const moods = averageMoodByDay(checkins);
+  const days = Array.from({ length: MOOD_TREND_DAYS }, (_, i) => addDays(new Date(), i - MOOD_TREND_DAYS + 1));
+  const points = days
+    .map((day, i) => ({ i, day, mood: moods.get(toDateKey(day)) }))
+    .filter(p => p.mood != null);
+
+  if (points.length < 2) {
+    return <p className="text-sm text-gray-400">{t('mood.trendEmpty')}</p>;
+  }
+
+  const x = (i) => MOOD_CHART_PADDING + (i / (MOOD_TREND_DAYS - 1)) * (MOOD_CHART_WIDTH - MOOD_CHART_PADDING * 2);
+  const y = (mood) => MOOD_CHART_HEIGHT - MOOD_CHART_PADDING - ((mood - 1) / 4) * (MOOD_CHART_HEIGHT - MOOD_CHART_PADDING * 2);
+
+  return (
+    <svg viewBox={`0 0 ${MOOD_CHART_WIDTH} ${MOOD_CHART_HEIGHT}`} className="w-full h-auto" role="img" aria-label={t('mood.trendChart', { count: MOOD_TREND_DAYS })}>
+      {MOOD_SCALE.map(level => (
+        <g key={level.value}>
+          <line x1={MOOD_CHART_PADDING} x2={MOOD_CHART_WIDTH - MOOD_CHART_PADDING} y1={y(level.value)} y2={y(level.value)} stroke="#f3f4f6" />
+          <text x={4} y={y(level.value) + 4} fontSize="10" fill="#9ca3af">{formatNumber(level.value)}</text>
+        </g>
+      ))}
+      <polyline fill="none" stroke="#6366f1" strokeWidth="2" points={points.map(p => `${x(p.i)},${y(p.mood)}`).join(' ')} />
+      {points.map(p => (
+        <circle key={p.i} cx={x(p.i)} cy={y(p.mood)} r="4" fill={moodColor(p.mood)}>
+          <title>{`${formatDate(p.day)} · ${formatNumber(p.mood, { maximumFractionDigits: 1 })}`}</title>
+        </circle>
+      ))}
+    </svg>
+  );
+};
+
+// --- Journal Component ---
+const JournalView = () => {
+  const { t, formatDateTime } = useI18n();
+  const journalQuery = useQuery(['journal'], (signal) => journalStore.list(signal));
+  const entries = journalQuery.data || [];
+  const setEntries = (updater) => setQueryData(['journal'], (prev = []) => updater(prev));
+  const [title, setTitle] = useState('');
+  const [body, setBody] = useState('');
+  const [error, setError] = useState('');
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (!body.trim()) return;
+    setError('');
+    try {
+      const created = await journalStore.create({ title: title.trim() || t('journal.untitled'), body: body.trim() });
+      setEntries(prev => [...prev, created]);
+      setTitle('');
+      setBody('');
+    } catch (err) {
+      setError(err.message || t('journal.saveFailed'));
+    }
+  };
+
+  const handleDelete = async (entry) => {
+    if (!window.confirm(t('journal.confirmDelete', { title: entry.title }))) return;
+    setEntries(prev => prev.filter(x => x.id !== entry.id));
+    try {
+      await journalStore.remove(entry.id);
+    } catch (err) {
+      setEntries(prev => [...prev, entry]);
+      setError(err.message || t('journal.deleteFailed'));
+    }
+  };
+
+  const sortedEntries = [...entries].sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
 
   return (
     <div className="space-y-6">
-      <h2 className="text-2xl font-bold text-gray-800">Team Management</h2>
-      {loading ? <p>Loading...</p> : (
-        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-          {teams.map(team => (
-            <div key={team.id} className="bg-white p-6 rounded-lg shadow-sm border border-gray-200">
-              <div className="flex items-center justify-between mb-4">
-                <h3 className="text-lg font-semibold text-gray-900">{team.teamname}</h3>
-                <Users className="text-indigo-500" size={20} />
-              </div>
-              <div className="mb-4">
-                <p className="text-sm text-gray-500 font-medium mb-2">Members:</p>
-                <div className="flex flex-wrap gap-2">
-                  {Array.isArray(team.content) && team.content.map((member, i) => (
-                    <span key={i} className="px-2 py-1 bg-gray-100 text-gray-700 text-xs rounded-full">
-                      {typeof member === 'string' ? member : JSON.stringify(member)}
-                    </span>
-                  ))}
-                  {(!team.content || team.content.length === 0) && <span className="text-xs text-gray-400">No members</span>}
+      <h2 className="text-2xl font-bold text-gray-800">{t('journal.title')}</h2>
+      <form onSubmit={handleSave} className="bg-white p-6 rounded-lg shadow-sm border border-gray-200 space-y-3">
+        <input
+          type="text"
+          value={title}
+          onChange={e => setTitle(e.target.value)}
+          placeholder={t('journal.titlePlaceholder')}
+          aria-label={t('journal.titlePlaceholder')}
+          className="w-full border border-gray-300 rounded-md px-3 py-2"
+        />
+        <textarea
+          value={body}
+          onChange={e => setBody(e.target.value)}
+          placeholder={t('journal.bodyPlaceholder')}
+          aria-label={t('journal.bodyPlaceholder')}
+          rows={6}
+          className="w-full border border-gray-300 rounded-md px-3 py-2"
+        />
+        {error && <p role="alert" className="text-red-500 text-sm">{error}</p>}
+        <button type="submit" className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700">
+          {t('journal.save')}
+        </button>
+      </form>
+      <QueryStatus
+        query={journalQuery}
+        isEmpty={entries.length === 0}
+        empty={
+          <div className="text-center py-10 bg-white rounded-lg border border-dashed border-gray-300">
+            <p className="text-gray-500">{t('journal.empty')}</p>
+          </div>
+        }
+      >
+        <div className="grid gap-4">
+          {sortedEntries.map(entry => (
+            <div key={entry.id} className="bg-white p-6 rounded-lg shadow-sm border border-gray-200">
+              <div className="flex items-start justify-between gap-4 mb-2">
+                <div>
+                  <h3 className="font-semibold text-gray-900">{entry.title}</h3>
+                  <p className="text-xs text-gray-400">{formatDateTime(entry.created_at)}</p>
                 </div>
+                <button onClick={() => handleDelete(entry)} title={t('journal.delete')} aria-label={t('journal.deleteNamed', { title: entry.title })} className="text-gray-400 hover:text-red-600">
+                  <Trash2 size={16} aria-hidden="true" />
+                </button>
               </div>
-              <button className="text-sm text-indigo-600 hover:text-indigo-800 font-medium">
-                Edit Members
+              <p className="text-gray-600 leading-relaxed whitespace-pre-wrap">{entry.body}</p>
+              <button
+                onClick={() => navigate(`/chat?journal=${encodeURIComponent(entry.id)}`)}
+                className="mt-3 flex items-center text-sm text-indigo-600 hover:text-indigo-800 font-medium"
+              >
+                {t('journal.talkAbout')} <ChevronRight size={16} className="ms-1 rtl:rotate-180" aria-hidden="true" />
               </button>
             </div>
           ))}
-          {teams.length === 0 && <p className="text-gray-500">No teams found.</p>}
         </div>
-      )}
+      </QueryStatus>
     </div>
   );
 };
 
-// --- Problems Component ---
-const ProblemsView = () => {
-  const [problems, setProblems] = useState([]);
-  
-  useEffect(() => {
-    const fetchProblems = async () => {
-      try {
-        const data = await api.request('/Problems/');
-        setProblems(data);
-      } catch (e) { console.error(e); }
-    };
-    fetchProblems();
-  }, []);
-
+// --- Forbidden Page ---
+const ForbiddenPage = () => {
+  const { t } = useI18n();
   return (
-    <div className="space-y-6">
-      <h2 className="text-2xl font-bold text-gray-800">Your Assessments & Problems</h2>
-      <div className="grid gap-4">
-        {problems.map((prob, i) => (
-          <div key={i} className="bg-white p-6 rounded-lg shadow-sm border border-l-4 border-l-orange-400 border-gray-200">
-            <div className="flex items-start gap-4">
-              <AlertCircle className="text-orange-400 shrink-0 mt-1" />
-              <div>
-                <h4 className="font-semibold text-gray-900 mb-2">Assessment Report #{i + 1}</h4>
-                <p className="text-gray-600 leading-relaxed whitespace-pre-wrap">{prob.content}</p>
-              </div>
-            </div>
-          </div>
-        ))}
-        {problems.length === 0 && (
-          <div className="text-center py-10 bg-white rounded-lg border border-dashed border-gray-300">
-            <p className="text-gray-500">No problems recorded yet.</p>
-          </div>
-        )}
-      </div>
+    <div className="flex flex-col items-center justify-center text-center py-20">
+      <Lock size={48} className="text-gray-300 mb-4" />
+      <p className="text-sm font-semibold text-indigo-600">403</p>
+      <h2 className="text-2xl font-bold text-gray-900 mb-2">{t('forbidden.title')}</h2>
+      <p className="text-gray-500 mb-6">{t('forbidden.body')}</p>
+      <button
+        onClick={() => navigate('/dashboard')}
+        className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700"
+      >
+        {t('forbidden.back')}
+      </button>
     </div>
   );
 };
 
 // --- Dashboard Component ---
 const Dashboard = ({ onChangeView }) => {
+  const { can } = useAuth();
+  const { t } = useI18n();
+  const checkins = useQuery(['mood-checkins'], (signal) => moodStore.list(signal)).data || [];
+
+  const streak = computeStreak(checkins.map(c => toDateKey(c.created_at)));
+
   return (
     <div className="space-y-8">
       <div className="bg-indigo-700 rounded-2xl p-8 text-white shadow-lg">
-        <h1 className="text-3xl font-bold mb-2">Welcome to Your Dashboard</h1>
-        <p className="opacity-90">Track your mental health journey, manage teams, and chat with AI assistants.</p>
+        <h1 className="text-3xl font-bold mb-2">{t('dashboard.welcome')}</h1>
+        <p className="opacity-90">{t('dashboard.intro')}</p>
       </div>
 
       <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
         {/* Card 1 */}
-        <div 
+        {can('chat') && <button
+          type="button"
           onClick={() => onChangeView('chat')}
-          className="bg-white p-6 rounded-xl shadow-sm border border-gray-200 cursor-pointer hover:shadow-md transition group"
+          className="block w-full text-start bg-white p-6 rounded-xl shadow-sm border border-gray-200 cursor-pointer hover:shadow-md transition group"
         >
-          <div className="h-12 w-12 bg-indigo-100 rounded-lg flex items-center justify-center text-indigo-600 mb-4 group-hover:scale-110 transition">
-            <MessageSquare size={24} />
-          </div>
-          <h3 className="text-xl font-bold text-gray-900 mb-2">AI Chat</h3>
-          <p className="text-gray-500 mb-4">Start a specialist session or talk to a counselor.</p>
-          <div className="flex items-center text-indigo-600 font-medium">
-            Open Chat <ChevronRight size={16} className="ml-1" />
-          </div>
-        </div>
+          <span className="h-12 w-12 bg-indigo-100 rounded-lg flex items-center justify-center text-indigo-600 mb-4 group-hover:scale-110 transition">
+            <MessageSquare size={24} aria-hidden="true" />
+          </span>
+          <span className="block text-xl font-bold text-gray-900 mb-2">{t('dashboard.chat.title')}</span>
+          <span className="block text-gray-500 mb-4">{t('dashboard.chat.body')}</span>
+          <span className="flex items-center text-indigo-600 font-medium">
+            {t('dashboard.chat.action')} <ChevronRight size={16} className="ms-1 rtl:rotate-180" aria-hidden="true" />
+          </span>
+        </button>}
 
         {/* Card 2 */}
-        <div 
+        {can('teams.view') && <button
+          type="button"
           onClick={() => onChangeView('team')}
-          className="bg-white p-6 rounded-xl shadow-sm border border-gray-200 cursor-pointer hover:shadow-md transition group"
+          className="block w-full text-start bg-white p-6 rounded-xl shadow-sm border border-gray-200 cursor-pointer hover:shadow-md transition group"
         >
-          <div className="h-12 w-12 bg-green-100 rounded-lg flex items-center justify-center text-green-600 mb-4 group-hover:scale-110 transition">
-            <Users size={24} />
-          </div>
-          <h3 className="text-xl font-bold text-gray-900 mb-2">Team Management</h3>
-          <p className="text-gray-500 mb-4">View and edit team members and structures.</p>
-          <div className="flex items-center text-green-600 font-medium">
-            Manage Teams <ChevronRight size={16} className="ml-1" />
-          </div>
-        </div>
+          <span className="h-12 w-12 bg-green-100 rounded-lg flex items-center justify-center text-green-600 mb-4 group-hover:scale-110 transition">
+            <Users size={24} aria-hidden="true" />
+          </span>
+          <span className="block text-xl font-bold text-gray-900 mb-2">{t('dashboard.team.title')}</span>
+          <span className="block text-gray-500 mb-4">{t('dashboard.team.body')}</span>
+          <span className="flex items-center text-green-600 font-medium">
+            {t('dashboard.team.action')} <ChevronRight size={16} className="ms-1 rtl:rotate-180" aria-hidden="true" />
+          </span>
+        </button>}
 
         {/* Card 3 */}
-        <div 
+        {can('problems.view_own') && <button
+          type="button"
           onClick={() => onChangeView('problems')}
-          className="bg-white p-6 rounded-xl shadow-sm border border-gray-200 cursor-pointer hover:shadow-md transition group"
+          className="block w-full text-start bg-white p-6 rounded-xl shadow-sm border border-gray-200 cursor-pointer hover:shadow-md transition group"
         >
-          <div className="h-12 w-12 bg-orange-100 rounded-lg flex items-center justify-center text-orange-600 mb-4 group-hover:scale-110 transition">
-            <AlertCircle size={24} />
+          <span className="h-12 w-12 bg-orange-100 rounded-lg flex items-center justify-center text-orange-600 mb-4 group-hover:scale-110 transition">
+            <AlertCircle size={24} aria-hidden="true" />
+          </span>
+          <span className="block text-xl font-bold text-gray-900 mb-2">{t('dashboard.problems.title')}</span>
+          <span className="block text-gray-500 mb-4">{t('dashboard.problems.body')}</span>
+          <span className="flex items-center text-orange-600 font-medium">
+            {t('dashboard.problems.action')} <ChevronRight size={16} className="ms-1 rtl:rotate-180" aria-hidden="true" />
+          </span>
+        </button>}
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <MoodCheckInCard onSaved={(checkin) => setQueryData(['mood-checkins'], (prev = []) => [...prev, checkin])} />
+        <div className="bg-white p-6 rounded-xl shadow-sm border border-gray-200">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-lg font-bold text-gray-900">{t('dashboard.checkins')}</h2>
+            <span className="flex items-center gap-1 text-sm font-medium text-orange-600">
+              <Flame size={18} aria-hidden="true" /> {t('dashboard.streak', { count: streak })}
+            </span>
           </div>
-          <h3 className="text-xl font-bold text-gray-900 mb-2">My Problems</h3>
-          <p className="text-gray-500 mb-4">Review your listed issues and assessment results.</p>
-          <div className="flex items-center text-orange-600 font-medium">
-            View Details <ChevronRight size={16} className="ml-1" />
+          <div className="overflow-x-auto mb-4">
+            <MoodHeatmap checkins={checkins} />
           </div>
+          {can('journal') && (
+            <button
+              onClick={() => onChangeView('journal')}
+              className="flex items-center text-indigo-600 font-medium"
+            >
+              <BookOpen size={16} className="me-2" aria-hidden="true" /> {t('dashboard.openJournal')} <ChevronRight size={16} className="ms-1 rtl:rotate-180" aria-hidden="true" />
+            </button>
+          )}
         </div>
       </div>
+
+      <div className="bg-white p-6 rounded-xl shadow-sm border border-gray-200">
+        <h2 className="text-lg font-bold text-gray-900 mb-3">{t('dashboard.moodTrend')}</h2>
+        <MoodTrendChart checkins={checkins} />
+      </div>
     </div>
   );
 };
 
+// --- Idle Lock ---
+// On shared devices an unattended session locks itself: the content is unmounted until the
+// password is entered again. Activity in any tab keeps every tab unlocked.
+const IDLE_ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'scroll', 'touchstart', 'mousemove'];
+const IDLE_CHECK_INTERVAL_MS = 15 * 1000;
+const ACTIVITY_BROADCAST_INTERVAL_MS = 30 * 1000;
+
+const useIdleLock = (enabled, timeoutMinutes) => {
+  const [locked, setLocked] = useState(() => localStorage.getItem(SESSION_LOCKED_KEY) === '1');
+  const lastActivityRef = useRef(Date.now());
+
+  const lock = useCallback(() => {
+    localStorage.setItem(SESSION_LOCKED_KEY, '1');
+    setLocked(true);
+    broadcastAuthEvent('lock');
+  }, []);
+
+  const unlock = useCallback(() => {
+    localStorage.removeItem(SESSION_LOCKED_KEY);
+    lastActivityRef.current = Date.now();
+    setLocked(false);
+    broadcastAuthEvent('unlock');
+  }, []);
+
+  useEffect(() => {
+    const onLock = () => setLocked(true);
+    const onUnlock = () => {
+      lastActivityRef.current = Date.now();
+      setLocked(false);
+    };
+    const onActivity = () => { lastActivityRef.current = Date.now(); };
+    authEvents.addEventListener('lock', onLock);
+    authEvents.addEventListener('unlock', onUnlock);
+    authEvents.addEventListener('activity', onActivity);
+    return () => {
+      authEvents.removeEventListener('lock', onLock);
+      authEvents.removeEventListener('unlock', onUnlock);
+      authEvents.removeEventListener('activity', onActivity);
+    };
+  }, []);
+
+  // Signing out clears the stored flag (see clearTokens), so the next login starts unlocked
+  useEffect(() => {
+    if (!enabled) setLocked(localStorage.getItem(SESSION_LOCKED_KEY) === '1');
+  }, [enabled]);
+
+  useEffect(() => {
+    if (!enabled || !timeoutMinutes || locked) return;
+    lastActivityRef.current = Date.now();
+    let lastBroadcast = 0;
+    const onActivity = () => {
+      const now = Date.now();
+      lastActivityRef.current = now;
+      if (now - lastBroadcast > ACTIVITY_BROADCAST_INTERVAL_MS) {
+        lastBroadcast = now;
+        broadcastAuthEvent('activity');
+      }
+    };
+    IDLE_ACTIVITY_EVENTS.forEach(type => window.addEventListener(type, onActivity, { passive: true }));
+    const timer = setInterval(() => {
+      if (Date.now() - lastActivityRef.current > timeoutMinutes * 60 * 1000) lock();
+    }, IDLE_CHECK_INTERVAL_MS);
+    return () => {
+      IDLE_ACTIVITY_EVENTS.forEach(type => window.removeEventListener(type, onActivity));
+      clearInterval(timer);
+    };
+  }, [enabled, timeoutMinutes, locked, lock]);
+
+  return { locked, unlock };
+};
+
+// Only the locked user can unlock: the cached chats and journal on screen are theirs. When the
+// session doesn't say who that is, signing out is the only way on.
+const LockScreen = ({ onUnlock, onLogout }) => {
+  const { user, ready } = useAuth();
+  const { t } = useI18n();
+  const username = user?.username;
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+    try {
+      await signIn(username, password);
+      onUnlock();
+    } catch (err) {
+      setError(describeAuthError(err, t('lock.incorrect')));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!username) {
+    return (
+      <AuthLayout title={t('lock.title')} subtitle={ready ? t('lock.unknownUser') : t('common.loading')}>
+        {ready && (
+          <button
+            type="button"
+            onClick={onLogout}
+            className="w-full py-2 px-4 text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700"
+          >
+            {t('lock.signOut')}
+          </button>
+        )}
+      </AuthLayout>
+    );
+  }
+
+  return (
+    <AuthLayout title={t('lock.title')} subtitle={t('lock.subtitle')}>
+      <form className="space-y-6" onSubmit={handleSubmit}>
+        <input type="hidden" name="username" autoComplete="username" value={username} />
+        <div className="space-y-2">
+          <AuthField
+            type="password"
+            required
+            autoFocus
+            autoComplete="current-password"
+            placeholder={t('auth.password')}
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+          />
+        </div>
+        {error && <p className="text-red-500 text-sm" role="alert">{error}</p>}
+        <button
+          type="submit"
+          disabled={loading || !password}
+          className="w-full flex justify-center items-center gap-2 py-2 px-4 text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+        >
+          <KeyRound size={16} /> {loading ? t('lock.unlocking') : t('lock.unlock')}
+        </button>
+        <div className="text-center">
+          <button type="button" onClick={onLogout} className="text-sm text-gray-500 hover:text-gray-700">
+            {t('lock.notYou')}
+          </button>
+        </div>
+      </form>
+    </AuthLayout>
+  );
+};
+
 // --- Main App Shell ---
-const App = () => {
-  const [isAuthenticated, setIsAuthenticated] = useState(!!localStorage.getItem('access_token'));
-  const [authView, setAuthView] = useState('login'); // login or register
-  const [currentView, setCurrentView] = useState('dashboard');
+const AppShell = () => {
+  const { t, setLocale } = useI18n();
+  const [isAuthenticated, setIsAuthenticated] = useState(() => !!api.accessToken);
+  // Cookie mode has no token to read synchronously; wait until /refresh/ says whether the cookie is good
+  const [authChecked, setAuthChecked] = useState(() => !!api.accessToken || !tokenStorage.usesRefreshCookie);
+  const { locked, unlock } = useIdleLock(isAuthenticated, appConfig.idleTimeoutMinutes);
   const [sidebarOpen, setSidebarOpen] = useState(false);
+  const [environment, setEnvironment] = useState(appConfig.environment);
+
+  useEffect(() => {
+    runtimeConfigReady.then(() => setEnvironment(appConfig.environment));
+  }, []);
+
+  useEffect(() => {
+    if (authChecked) return;
+    api.restoreSession().then(ok => {
+      setIsAuthenticated(ok);
+      setAuthChecked(true);
+    });
+  }, []);
+
+  // Follow logins and logouts made in other tabs
+  useEffect(() => {
+    const onLogin = () => setIsAuthenticated(true);
+    const onLogout = () => {
+      clearQueryCache();
+      setIsAuthenticated(false);
+    };
+    authEvents.addEventListener('login', onLogin);
+    authEvents.addEventListener('logout', onLogout);
+    return () => {
+      authEvents.removeEventListener('login', onLogin);
+      authEvents.removeEventListener('logout', onLogout);
+    };
+  }, []);
+
+  const location = useLocation();
+  const route = matchRoute(location.pathname);
+  const currentView = route && !route.public ? route.name : 'dashboard';
+
+  // Role and permissions: JWT claims right away, then the authoritative /me/ response
+  const [user, setUser] = useState(() => (api.accessToken ? normalizeUser(decodeJwtPayload(api.accessToken)) : null));
+  const [userReady, setUserReady] = useState(false);
+  const auth = useMemo(() => buildAuthValue(user, userReady), [user, userReady]);
+
+  useEffect(() => {
+    if (!isAuthenticated) {
+      setUser(null);
+      setUserReady(false);
+      return;
+    }
+    const controller = new AbortController();
+    setUser(normalizeUser(decodeJwtPayload(api.accessToken)));
+    api.request('/me/', { signal: controller.signal })
+      .then(me => {
+        setUser(normalizeUser(me));
+        // The profile's language wins; otherwise whatever this user last picked on this device
+        const preferred = me.locale || localStorage.getItem(userLocaleKey(me.username));
+        if (LOCALES[preferred]) setLocale(preferred);
+      })
+      .catch(e => {
+        if (!isAbortError(e)) console.warn("Couldn't load /me/, using token claims", e);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setUserReady(true);
+      });
+    return () => controller.abort();
+  }, [isAuthenticated]);
+
+  // Live updates for the signed-in, unlocked session
+  useEffect(() => {
+    if (!isAuthenticated || locked) return;
+    realtime.start();
+    return () => realtime.stop();
+  }, [isAuthenticated, locked]);
+
+  // Deliver prompts queued while offline, both on startup and whenever the connection returns
+  useEffect(() => {
+    if (!isAuthenticated) return;
+    flushOutbox();
+    window.addEventListener('online', flushOutbox);
+    return () => window.removeEventListener('online', flushOutbox);
+  }, [isAuthenticated]);
+
+  // Expired sessions drop back to login in-app; the redirect below remembers the current URL
+  useEffect(() => {
+    api.onSessionExpired = () => {
+      clearQueryCache();
+      setIsAuthenticated(false);
+    };
+    return () => { api.onSessionExpired = null; };
+  }, []);
+
+  // Keep the URL in line with the auth state
+  useEffect(() => {
+    if (!authChecked) return;
+    if (!isAuthenticated && !route?.public) {
+      const target = `${location.pathname}${location.search}`;
+      navigate(target === '/' ? '/login' : `/login?next=${encodeURIComponent(target)}`, { replace: true });
+    } else if (isAuthenticated && (!route || route.public)) {
+      navigate('/dashboard', { replace: true });
+    }
+  }, [authChecked, isAuthenticated, location.pathname, location.search]);
 
   const handleLogin = () => {
     setIsAuthenticated(true);
-    setCurrentView('dashboard');
+    // Only follow same-origin paths from ?next= to avoid an open redirect
+    const next = sameOriginPath(new URLSearchParams(location.search).get('next'));
+    navigate(next || '/dashboard', { replace: true });
   };
 
   const handleLogout = () => {
-    api.clearTokens();
+    api.logout();
+    clearQueryCache();
     setIsAuthenticated(false);
-    setAuthView('login');
+    navigate('/login');
   };
 
+  if (!authChecked) {
+    return <div className="min-h-screen flex items-center justify-center text-gray-400">{t('common.loading')}</div>;
+  }
+
   if (!isAuthenticated) {
-    return authView === 'login' 
-      ? <Login onLogin={handleLogin} onSwitchToRegister={() => setAuthView('register')} />
-      : <Register onRegister={() => setAuthView('login')} onSwitchToLogin={() => setAuthView('login')} />;
+    return (
+      <>
+        <OfflineBanner />
+        {route?.name === 'register' ? <Register onLogin={handleLogin} />
+          : route?.name === 'forgot-password' ? <ForgotPassword />
+          : route?.name === 'reset-password' ? <ResetPassword />
+          : <Login onLogin={handleLogin} />}
+      </>
+    );
   }
 
   const renderView = () => {
+    if (route?.permission && !auth.can(route.permission)) {
+      // Token claims may under-report until /me/ answers; don't flash a 403 meanwhile
+      return auth.ready ? <ForbiddenPage /> : <p className="text-gray-400">{t('common.loading')}</p>;
+    }
     switch(currentView) {
-      case 'chat': return <ChatInterface />;
+      case 'chat': return (
+        <ChatInterface
+          sessionId={parseSessionId(route.params.sessionId)}
+          focusMessageId={new URLSearchParams(location.search).get('message')}
+          attachJournalId={new URLSearchParams(location.search).get('journal')}
+        />
+      );
+      case 'search': return <SearchView />;
+      case 'journal': return <JournalView />;
       case 'team': return <TeamMembersView />;
       case 'problems': return <ProblemsView />;
-      default: return <Dashboard onChangeView={setCurrentView} />;
+      default: return <Dashboard onChangeView={(view) => navigate(`/${view}`)} />;
     }
   };
 
+  if (locked) {
+    return (
+      <AuthContext.Provider value={auth}>
+        <OfflineBanner />
+        <LockScreen onUnlock={unlock} onLogout={handleLogout} />
+      </AuthContext.Provider>
+    );
+  }
+
   return (
-    <div className="min-h-screen bg-gray-50 flex font-sans text-gray-900">
-      {/* Sidebar Navigation */}
-      <aside className={`fixed inset-y-0 left-0 z-30 w-64 bg-white border-r border-gray-200 transform transition-transform duration-300 ease-in-out lg:translate-x-0 ${sidebarOpen ? 'translate-x-0' : '-translate-x-full'}`}>
-        <div className="flex items-center justify-between h-16 px-6 border-b border-gray-200">
-          <span className="text-2xl font-bold text-indigo-600">specialistAI</span>
-          <button onClick={() => setSidebarOpen(false)} className="lg:hidden">
-            <X size={24} />
-          </button>
-        </div>
-        <nav className="p-4 space-y-1">
-          <button 
-            onClick={() => setCurrentView('dashboard')}
-            className={`w-full flex items-center px-4 py-3 rounded-lg transition ${currentView === 'dashboard' ? 'bg-indigo-50 text-indigo-700 font-medium' : 'text-gray-600 hover:bg-gray-50'}`}
-          >
-            <LayoutDashboard size={20} className="mr-3" /> Dashboard
-          </button>
-          <button 
-            onClick={() => setCurrentView('chat')}
-            className={`w-full flex items-center px-4 py-3 rounded-lg transition ${currentView === 'chat' ? 'bg-indigo-50 text-indigo-700 font-medium' : 'text-gray-600 hover:bg-gray-50'}`}
-          >
-            <MessageSquare size={20} className="mr-3" /> Chat
-          </button>
-          <button 
-            onClick={() => setCurrentView('team')}
-            className={`w-full flex items-center px-4 py-3 rounded-lg transition ${currentView === 'team' ? 'bg-indigo-50 text-indigo-700 font-medium' : 'text-gray-600 hover:bg-gray-50'}`}
-          >
-            <Users size={20} className="mr-3" /> Team Data
-          </button>
-          <button 
-            onClick={() => setCurrentView('problems')}
-            className={`w-full flex items-center px-4 py-3 rounded-lg transition ${currentView === 'problems' ? 'bg-indigo-50 text-indigo-700 font-medium' : 'text-gray-600 hover:bg-gray-50'}`}
-          >
-            <AlertCircle size={20} className="mr-3" /> Problems
-          </button>
-        </nav>
-        <div className="absolute bottom-0 w-full p-4 border-t border-gray-200">
-          <button 
-            onClick={handleLogout}
-            className="w-full flex items-center px-4 py-3 text-red-600 hover:bg-red-50 rounded-lg transition"
-          >
-            <LogOut size={20} className="mr-3" /> Logout
-          </button>
-        </div>
-      </aside>
+    <AuthContext.Provider value={auth}>
+      <div className="min-h-screen bg-gray-50 flex font-sans text-gray-900">
+        <OfflineBanner />
+        {/* A button rather than an #anchor, since the router owns the URL */}
+        <button
+          type="button"
+          onClick={() => document.getElementById('main-content')?.focus()}
+          className="sr-only focus:not-sr-only focus:fixed focus:top-2 focus:start-2 focus:z-50 focus:px-4 focus:py-2 focus:bg-white focus:text-indigo-700 focus:rounded-md focus:shadow"
+        >
+          {t('nav.skipToContent')}
+        </button>
+        {/* Sidebar Navigation */}
+        <aside className={`fixed inset-y-0 start-0 z-30 w-64 bg-white border-e border-gray-200 transform transition-transform duration-300 ease-in-out lg:translate-x-0 ${sidebarOpen ? 'translate-x-0' : '-translate-x-full rtl:translate-x-full'}`}>
+          <div className="flex items-center justify-between h-16 px-6 border-b border-gray-200">
+            <span className="text-2xl font-bold text-indigo-600">specialistAI</span>
+            <button onClick={() => setSidebarOpen(false)} aria-label={t('nav.closeMenu')} title={t('nav.closeMenu')} className="lg:hidden">
+              <X size={24} aria-hidden="true" />
+            </button>
+          </div>
+          <nav aria-label={t('nav.main')} className="p-4 space-y-1">
+            <button 
+              onClick={() => navigate('/dashboard')}
+              aria-current={currentView === 'dashboard' ? 'page' : undefined}
+              className={`w-full flex items-center px-4 py-3 rounded-lg transition ${currentView === 'dashboard' ? 'bg-indigo-50 text-indigo-700 font-medium' : 'text-gray-600 hover:bg-gray-50'}`}
+            >
+              <LayoutDashboard size={20} className="me-3" aria-hidden="true" /> {t('nav.dashboard')}
+            </button>
+            {auth.can('chat') && (
+              <button 
+                onClick={() => navigate('/chat')}
+                aria-current={currentView === 'chat' ? 'page' : undefined}
+                className={`w-full flex items-center px-4 py-3 rounded-lg transition ${currentView === 'chat' ? 'bg-indigo-50 text-indigo-700 font-medium' : 'text-gray-600 hover:bg-gray-50'}`}
+              >
+                <MessageSquare size={20} className="me-3" aria-hidden="true" /> {t('nav.chat')}
+              </button>
+            )}
+            {auth.can('search') && (
+              <button 
+                onClick={() => navigate('/search')}
+                aria-current={currentView === 'search' ? 'page' : undefined}
+                className={`w-full flex items-center px-4 py-3 rounded-lg transition ${currentView === 'search' ? 'bg-indigo-50 text-indigo-700 font-medium' : 'text-gray-600 hover:bg-gray-50'}`}
+              >
+                <Search size={20} className="me-3" aria-hidden="true" /> {t('nav.search')}
+              </button>
+            )}
+            {auth.can('journal') && (
+              <button 
+                onClick={() => navigate('/journal')}
+                aria-current={currentView === 'journal' ? 'page' : undefined}
+                className={`w-full flex items-center px-4 py-3 rounded-lg transition ${currentView === 'journal' ? 'bg-indigo-50 text-indigo-700 font-medium' : 'text-gray-600 hover:bg-gray-50'}`}
+              >
+                <BookOpen size={20} className="me-3" aria-hidden="true" /> {t('nav.journal')}
+              </button>
+            )}
+            {auth.can('teams.view') && (
+              <button 
+                onClick={() => navigate('/team')}
+                aria-current={currentView === 'team' ? 'page' : undefined}
+                className={`w-full flex items-center px-4 py-3 rounded-lg transition ${currentView === 'team' ? 'bg-indigo-50 text-indigo-700 font-medium' : 'text-gray-600 hover:bg-gray-50'}`}
+              >
+                <Users size={20} className="me-3" aria-hidden="true" /> {t('nav.team')}
+              </button>
+            )}
+            {auth.can('problems.view_own') && (
+              <button 
+                onClick={() => navigate('/problems')}
+                aria-current={currentView === 'problems' ? 'page' : undefined}
+                className={`w-full flex items-center px-4 py-3 rounded-lg transition ${currentView === 'problems' ? 'bg-indigo-50 text-indigo-700 font-medium' : 'text-gray-600 hover:bg-gray-50'}`}
+              >
+                <AlertCircle size={20} className="me-3" aria-hidden="true" /> {t('nav.problems')}
+              </button>
+            )}
+          </nav>
+          <div className="absolute bottom-0 w-full p-4 border-t border-gray-200">
+            <button 
+              onClick={handleLogout}
+              className="w-full flex items-center px-4 py-3 text-red-600 hover:bg-red-50 rounded-lg transition"
+            >
+              <LogOut size={20} className="me-3" aria-hidden="true" /> {t('nav.logout')}
+            </button>
+          </div>
+        </aside>
 
-      {/* Main Content */}
-      <div className="flex-1 lg:ml-64 flex flex-col min-h-screen">
-        <header className="h-16 bg-white border-b border-gray-200 flex items-center justify-between px-4 lg:px-8">
-          <button onClick={() => setSidebarOpen(true)} className="lg:hidden text-gray-600">
-            <Menu size={24} />
-          </button>
-          <h2 className="text-xl font-semibold capitalize text-gray-800">{currentView}</h2>
-          <div className="flex items-center space-x-4">
-            <div className="h-8 w-8 bg-indigo-100 rounded-full flex items-center justify-center text-indigo-600">
-              <User size={18} />
+        {/* Main Content */}
+        <div className="flex-1 lg:ms-64 flex flex-col min-h-screen">
+          <header className="h-16 bg-white border-b border-gray-200 flex items-center justify-between px-4 lg:px-8">
+            <button
+              onClick={() => setSidebarOpen(true)}
+              aria-label={t('nav.openMenu')}
+              aria-expanded={sidebarOpen}
+              title={t('nav.openMenu')}
+              className="lg:hidden text-gray-600"
+            >
+              <Menu size={24} aria-hidden="true" />
+            </button>
+            <h2 className="text-xl font-semibold text-gray-800">{t(`nav.${currentView}`)}</h2>
+            <div className="flex items-center gap-4">
+              <LanguageSwitcher username={auth.user?.username} />
+              {environment !== 'production' && (
+                <span
+                  title={appConfig.apiBaseUrl}
+                  className="text-xs font-semibold uppercase tracking-wide px-2 py-1 rounded-full bg-amber-100 text-amber-800"
+                >
+                  {environment}
+                </span>
+              )}
+              {auth.user?.username && (
+                <span className="hidden sm:block text-sm text-gray-600">
+                  {auth.user.username} <span className="text-gray-400">· {ROLE_PERMISSIONS[auth.role] ? t(`role.${auth.role}`) : auth.role}</span>
+                </span>
+              )}
+              <div className="h-8 w-8 bg-indigo-100 rounded-full flex items-center justify-center text-indigo-600">
+                <User size={18} aria-hidden="true" />
+              </div>
             </div>
-          </div>
-        </header>
+          </header>
 
-        <main className="flex-1 p-4 lg:p-8 overflow-x-hidden">
-          {renderView()}
-        </main>
+          <main id="main-content" tabIndex={-1} className="flex-1 p-4 lg:p-8 overflow-x-hidden focus:outline-none">
+            {renderView()}
+          </main>
+        </div>
       </div>
+    </AuthContext.Provider>
+  );
+};
+
+// A build without a backend URL can't work at all: say so on every screen instead of letting
+// each request fail with a generic network error
+const MissingApiUrlBanner = () => {
+  const { t } = useI18n();
+  const [missing, setMissing] = useState(false);
+  useEffect(() => {
+    runtimeConfigReady.then(() => setMissing(!appConfig.apiBaseUrl));
+  }, []);
+  if (!missing) return null;
+  return (
+    <div role="alert" className="fixed inset-x-0 bottom-0 z-50 bg-red-600 text-white text-sm text-center px-4 py-2">
+      {t('config.missingApiBaseUrl')}
     </div>
   );
 };
 
+const App = () => (
+  <I18nProvider>
+    <MissingApiUrlBanner />
+    <AppShell />
+  </I18nProvider>
+);
+
 export default App;
 
+// Internals exercised by the test suite in tests/
+export {
+  api,
+  ApiClient,
+  AuthContext,
+  buildAuthValue,
+  I18nProvider,
+  useI18n,
+  joinUrl,
+  MissingApiUrlBanner,
+  clearQueryCache,
+  createOutboxEntry,
+  saveOutboxEntry,
+  deleteOutboxEntry,
+  getOutboxEntries,
+  flushOutbox,
+  getQueryEntry,
+  setQueryData,
+  fetchQuery,
+  useQuery,
+  RealtimeClient,
+  matchRoute,
+  sameOriginPath,
+  fetchHistoryPage,
+  VirtualMessageList,
+  loadModeCatalogue,
+  sleep,
+  fetchWithTimeout,
+  useVoiceInput,
+  ReadAloudButton,
+  insertModeMarkers,
+  prependOlderMessages,
+  exportSessions,
+  importChatExport,
+  journalStore,
+  readDrafts,
+  saveDraft,
+  normalizeForSafety,
+  compileSafetyRules,
+  detectCrisisLanguage,
+  Dialog,
+  Login,
+  Register,
+  ChatInterface,
+  TeamMembersView,
+  ProblemsView,
+  SearchView,
+  JournalView,
+  Dashboard,
+  LockScreen,
+};
+
 
 
 
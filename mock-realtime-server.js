@@ -0,0 +1,120 @@
+// Local stand-in for the backend's /ws/updates/ socket, for development and manual testing
+// of live updates (see "Real-time Updates" in App.jsx for the protocol).
+//
+//   npm run mock:realtime
+//   VITE_REALTIME_URL=ws://localhost:8001/ws/updates/ npm run dev
+//
+// Then type into this terminal to push events to every connected tab:
+//   chat | team | problem     a sample "<resource>.updated" event (problem sends "created")
+//   drop                      close all connections to exercise reconnect
+//   {"type":"chat.deleted","data":{"id":3}}   any raw event as JSON
+//
+// Every token is accepted except the literal "invalid", which is rejected with code 4001.
+//
+// Tests import startMockRealtimeServer() instead; it listens on a free port when none is given.
+import { WebSocketServer } from 'ws';
+import readline from 'node:readline';
+import { pathToFileURL } from 'node:url';
+
+const AUTH_FAILED = 4001;
+
+const SAMPLE_EVENTS = {
+  chat: () => ({ type: 'chat.updated', data: { id: 1, title: `Renamed at ${new Date().toLocaleTimeString()}` } }),
+  team: () => ({ type: 'team.updated', data: { id: 1, teamname: 'Care team', content: [{ username: 'dr.lee', role: 'clinician' }] } }),
+  problem: () => ({ type: 'problem.created', data: { id: Date.now(), category: 'Sleep', content: 'New assessment from the mock server' } }),
+};
+
+// Resolves with { url, port, auths, pings, answerPings, broadcast, dropAll, close } once listening.
+// `auths` lists every token clients authenticated with; set `answerPings` to false to play a
+// server that has silently gone away.
+export const startMockRealtimeServer = ({ port = 0, log = () => {} } = {}) => new Promise((resolve, reject) => {
+  const wss = new WebSocketServer({ port, path: '/ws/updates/' });
+  const clients = new Set();
+
+  const server = {
+    url: null,
+    port: null,
+    auths: [],
+    pings: 0,
+    answerPings: true,
+    broadcast(event) {
+      const payload = JSON.stringify(event);
+      clients.forEach(socket => socket.send(payload));
+      log(`sent ${event.type} to ${clients.size} client(s)`);
+    },
+    dropAll() {
+      clients.forEach(socket => socket.terminate());
+    },
+    close() {
+      server.dropAll();
+      return new Promise(done => wss.close(() => done()));
+    },
+  };
+
+  wss.on('connection', (socket) => {
+    let authenticated = false;
+
+    socket.on('message', (raw) => {
+      let message;
+      try {
+        message = JSON.parse(raw);
+      } catch {
+        return;
+      }
+      if (message.type === 'auth') {
+        server.auths.push(message.token);
+        if (!message.token || message.token === 'invalid') {
+          socket.close(AUTH_FAILED, 'Invalid token');
+          return;
+        }
+        authenticated = true;
+        clients.add(socket);
+        socket.send(JSON.stringify({ type: 'auth.ok' }));
+        log(`client authenticated (${clients.size} connected)`);
+      } else if (message.type === 'ping' && authenticated) {
+        server.pings++;
+        if (server.answerPings) socket.send(JSON.stringify({ type: 'pong' }));
+      }
+    });
+
+    socket.on('close', () => {
+      clients.delete(socket);
+      log(`client disconnected (${clients.size} connected)`);
+    });
+  });
+
+  wss.on('error', reject);
+  wss.on('listening', () => {
+    server.port = wss.address().port;
+    server.url = `ws://localhost:${server.port}/ws/updates/`;
+    resolve(server);
+  });
+});
+
+const runFromTerminal = async () => {
+  const server = await startMockRealtimeServer({ port: Number(process.env.PORT || 8001), log: console.log });
+
+  readline.createInterface({ input: process.stdin }).on('line', (line) => {
+    const input = line.trim();
+    if (!input) return;
+    if (input === 'drop') {
+      server.dropAll();
+      return;
+    }
+    if (SAMPLE_EVENTS[input]) {
+      server.broadcast(SAMPLE_EVENTS[input]());
+      return;
+    }
+    try {
+      server.broadcast(JSON.parse(input));
+    } catch {
+      console.log(`unknown command: ${input}`);
+    }
+  });
+
+  console.log(`mock realtime server on ${server.url}`);
+};
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  runFromTerminal();
+}
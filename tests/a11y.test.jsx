@@ -0,0 +1,155 @@
+import React from 'react';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { screen, waitFor, fireEvent } from '@testing-library/react';
+import { configureAxe } from 'vitest-axe';
+import {
+  clearQueryCache,
+  Dialog,
+  Login,
+  Register,
+  ChatInterface,
+  TeamMembersView,
+  ProblemsView,
+  SearchView,
+  JournalView,
+  Dashboard,
+  LockScreen,
+} from '../App.jsx';
+import { jsonResponse, pathOf, renderView } from './helpers.jsx';
+
+// Views are rendered on their own here, outside the shell's <main>, so the landmark rule
+// would flag every one of them. jsdom can't compute colours, so contrast is left to manual checks.
+const axe = configureAxe({
+  rules: {
+    region: { enabled: false },
+    'color-contrast': { enabled: false },
+  },
+});
+
+const RESPONSES = {
+  '/Chats/': [
+    { id: 1, title: 'Sleep worries', created_at: '2026-10-01T09:00:00Z', updated_at: '2026-10-02T09:00:00Z' },
+    { id: 2, title: 'Work stress', created_at: '2026-10-03T09:00:00Z', updated_at: '2026-10-03T10:00:00Z', pinned: true },
+  ],
+  '/ChatData/1/messages/': {
+    results: [
+      { id: 11, role: 'user', message: 'I have trouble sleeping', created_at: '2026-10-01T09:00:00Z' },
+      { id: 12, role: 'assistant', message: 'Let us look at **your evening routine**.', created_at: '2026-10-01T09:00:05Z' },
+    ],
+    next: null,
+  },
+  '/TeamMembers/': [
+    { id: 1, teamname: 'Care team', content: [{ username: 'alice', role: 'clinician' }, { username: 'bob', role: 'patient' }] },
+  ],
+  '/Problems/': [
+    { id: 1, category: 'Sleep', content: 'Insomnia most nights', severity: 3, status: 'active', created_at: '2026-09-20T09:00:00Z' },
+  ],
+  '/Journal/': [
+    { id: 1, title: 'Monday', body: 'Slept better after the walk.', created_at: '2026-10-05T20:00:00Z' },
+  ],
+  '/MoodCheckins/': [
+    { id: 1, mood: 4, tags: ['sleep'], note: '', created_at: '2026-10-05T20:00:00Z' },
+  ],
+  '/ChatData/search/': [],
+};
+
+// Answers API calls from RESPONSES by path; anything else is a 404, which the
+// views treat as an optional endpoint the backend doesn't have
+const fakeFetch = vi.fn(async (url) => {
+  const pathname = pathOf(url);
+  return pathname in RESPONSES ? jsonResponse(RESPONSES[pathname]) : jsonResponse({ detail: 'Not found' }, 404);
+});
+
+const expectNoViolations = async (container) => {
+  expect(await axe(container)).toHaveNoViolations();
+};
+
+beforeEach(() => {
+  clearQueryCache();
+  vi.stubGlobal('fetch', fakeFetch);
+});
+
+describe('accessibility', () => {
+  it('Login', async () => {
+    const { container } = renderView(<Login onLogin={() => {}} />, null);
+    await expectNoViolations(container);
+  });
+
+  it('Register', async () => {
+    const { container } = renderView(<Register onLogin={() => {}} />, null);
+    await expectNoViolations(container);
+  });
+
+  it('Chat', async () => {
+    const { container } = renderView(<ChatInterface sessionId={1} />);
+    await screen.findByText('I have trouble sleeping');
+    await expectNoViolations(container);
+  });
+
+  it('Teams', async () => {
+    const { container } = renderView(<TeamMembersView />);
+    await screen.findByText('Care team');
+    await expectNoViolations(container);
+  });
+
+  it('Problems', async () => {
+    const { container } = renderView(<ProblemsView />);
+    await screen.findByText('Insomnia most nights');
+    await expectNoViolations(container);
+  });
+
+  it('Search', async () => {
+    const { container } = renderView(<SearchView />);
+    await expectNoViolations(container);
+  });
+
+  it('Journal', async () => {
+    const { container } = renderView(<JournalView />);
+    await screen.findByText('Slept better after the walk.');
+    await expectNoViolations(container);
+  });
+
+  it('Dashboard', async () => {
+    const { container } = renderView(<Dashboard onChangeView={() => {}} />);
+    await waitFor(() => expect(fakeFetch).toHaveBeenCalledWith(expect.stringContaining('/MoodCheckins/'), expect.anything()));
+    await expectNoViolations(container);
+  });
+
+  it('Dialog', async () => {
+    const onClose = vi.fn();
+    const { container } = renderView(
+      <Dialog labelledBy="dialog-title" describedBy="dialog-body" onClose={onClose}>
+        <h2 id="dialog-title">Start a new chat</h2>
+        <p id="dialog-body">Pick a name for the conversation.</p>
+        <label htmlFor="dialog-name">Name</label>
+        <input id="dialog-name" />
+        <button type="button">Create</button>
+      </Dialog>
+    );
+    const dialog = screen.getByRole('dialog', { name: 'Start a new chat' });
+    expect(dialog.getAttribute('aria-modal')).toBe('true');
+    await expectNoViolations(container);
+
+    // Focus starts inside, Tab wraps from the last control and Escape closes
+    expect(document.activeElement).toBe(screen.getByLabelText('Name'));
+    screen.getByText('Create').focus();
+    fireEvent.keyDown(document.activeElement, { key: 'Tab' });
+    expect(document.activeElement).toBe(screen.getByLabelText('Name'));
+    fireEvent.keyDown(document.activeElement, { key: 'Escape' });
+    expect(onClose).toHaveBeenCalled();
+  });
+
+  it('LockScreen', async () => {
+    const { container } = renderView(<LockScreen onUnlock={() => {}} onLogout={() => {}} />, { username: 'alice', role: 'patient' });
+    expect(screen.queryByPlaceholderText('Username')).toBeNull();
+    await expectNoViolations(container);
+  });
+
+  it('LockScreen without a known user', async () => {
+    const { container } = renderView(<LockScreen onUnlock={() => {}} onLogout={() => {}} />, { username: null, role: 'patient' });
+    // Nobody else can unlock the session: there's no form at all, only signing out
+    expect(container.querySelector('input')).toBeNull();
+    expect(screen.getByRole('button', { name: 'Sign out' })).toBeTruthy();
+    await expectNoViolations(container);
+  });
+});
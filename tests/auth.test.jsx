@@ -0,0 +1,219 @@
+import React from 'react';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { screen, fireEvent } from '@testing-library/react';
+import { api, ApiClient, LockScreen, Login, Register } from '../App.jsx';
+import { jsonResponse, pathOf, renderView, signIn, tokenFor } from './helpers.jsx';
+
+// Cookie-mode storage: nothing persisted, the refresh token lives in an httpOnly cookie
+const cookieStorage = () => ({
+  usesRefreshCookie: true,
+  load: () => ({ access: null, refresh: null }),
+  save: () => {},
+  clear: () => {},
+});
+
+// Minimal Web Locks: requests for a name run one after another
+const fakeLocks = () => {
+  let tail = Promise.resolve();
+  return {
+    request: (name, task) => {
+      const run = tail.then(() => task());
+      tail = run.catch(() => {});
+      return run;
+    },
+  };
+};
+
+describe('token refresh across tabs', () => {
+  let inFlight;
+  let maxInFlight;
+
+  beforeEach(() => {
+    inFlight = 0;
+    maxInFlight = 0;
+    Object.defineProperty(navigator, 'locks', { value: fakeLocks(), configurable: true });
+    vi.stubGlobal('fetch', vi.fn(async () => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      inFlight--;
+      return jsonResponse({ access: `access-${Date.now()}` });
+    }));
+  });
+
+  afterEach(() => {
+    delete navigator.locks;
+  });
+
+  it('never sends two cookie refreshes at the same time', async () => {
+    // One client per tab, all reacting to the same 'login' broadcast
+    const tabs = [new ApiClient(cookieStorage()), new ApiClient(cookieStorage()), new ApiClient(cookieStorage())];
+    const results = await Promise.all(tabs.map(tab => tab.refreshAccessToken()));
+    expect(results).toEqual([true, true, true]);
+    expect(fetch).toHaveBeenCalledTimes(3);
+    expect(maxInFlight).toBe(1);
+  });
+
+  it('still shares one refresh between concurrent callers in a tab', async () => {
+    const tab = new ApiClient(cookieStorage());
+    await Promise.all([tab.refreshAccessToken(), tab.refreshAccessToken()]);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('unlocking the session', () => {
+  beforeEach(() => {
+    signIn('alice');
+    vi.stubGlobal('fetch', vi.fn(async (url) => (pathOf(url) === '/login/'
+      ? jsonResponse({ detail: 'No active account found with the given credentials' }, 401)
+      : jsonResponse({ access: tokenFor('alice') }))));
+  });
+
+  it('reports a wrong password without refreshing or resending the session token', async () => {
+    const onUnlock = vi.fn();
+    renderView(<LockScreen onUnlock={onUnlock} onLogout={() => {}} />, { username: 'alice', role: 'patient' });
+    fireEvent.change(screen.getByLabelText('Password'), { target: { value: 'wrong' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Unlock' }));
+
+    expect(await screen.findByText('Incorrect password.')).toBeTruthy();
+    expect(fetch.mock.calls.map(([url]) => pathOf(url))).toEqual(['/login/']);
+    expect(fetch.mock.calls[0][1].headers.Authorization).toBeUndefined();
+    expect(api.accessToken).toBe(tokenFor('alice'));
+    expect(onUnlock).not.toHaveBeenCalled();
+  });
+});
+
+// Answers each path with the given response, or a function of the request body
+const answer = (routes) => vi.fn(async (url, options) => {
+  const route = routes[pathOf(url)];
+  if (!route) return jsonResponse({ detail: 'Not found' }, 404);
+  return typeof route === 'function' ? route(JSON.parse(options.body)) : route.clone();
+});
+
+const typeInto = (label, value) => fireEvent.change(screen.getByLabelText(label), { target: { value } });
+
+describe('Login', () => {
+  beforeEach(() => api.clearTokens());
+
+  const submit = (onLogin = () => {}) => {
+    renderView(<Login onLogin={onLogin} />, null);
+    typeInto('Username', 'alice');
+    typeInto('Password', 'correct horse');
+    fireEvent.click(screen.getByRole('button', { name: 'Sign in' }));
+  };
+
+  it('signs in and starts the session', async () => {
+    vi.stubGlobal('fetch', answer({ '/login/': jsonResponse({ access: tokenFor('alice'), refresh: 'refresh' }) }));
+    const onLogin = vi.fn();
+    submit(onLogin);
+    await vi.waitFor(() => expect(onLogin).toHaveBeenCalled());
+    expect(api.accessToken).toBe(tokenFor('alice'));
+  });
+
+  it('reports wrong credentials', async () => {
+    vi.stubGlobal('fetch', answer({ '/login/': jsonResponse({ detail: 'No active account' }, 401) }));
+    submit();
+    expect((await screen.findByRole('alert')).textContent).toBe('Incorrect username or password.');
+  });
+
+  it("shows the server's reason for a locked account", async () => {
+    vi.stubGlobal('fetch', answer({ '/login/': jsonResponse({ detail: 'Account locked until tomorrow.' }, 423) }));
+    submit();
+    expect((await screen.findByRole('alert')).textContent).toBe('Account locked until tomorrow.');
+  });
+
+  it('falls back to a generic message for a locked account', async () => {
+    vi.stubGlobal('fetch', answer({ '/login/': jsonResponse({}, 403) }));
+    submit();
+    expect((await screen.findByRole('alert')).textContent).toBe('This account is locked or inactive. Contact support for help.');
+  });
+
+  it('says how long to wait when rate limited and holds the button until then', async () => {
+    vi.stubGlobal('fetch', answer({
+      '/login/': new Response('{}', { status: 429, headers: { 'Content-Type': 'application/json', 'Retry-After': '30' } }),
+    }));
+    submit();
+    expect((await screen.findByRole('alert')).textContent).toBe('Too many attempts. Try again in 30 seconds.');
+    expect(screen.getByRole('button', { name: 'Sign in' }).disabled).toBe(true);
+  });
+
+  it('tells a network failure apart from wrong credentials', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => { throw new TypeError('Failed to fetch'); }));
+    submit();
+    expect((await screen.findByRole('alert')).textContent).toBe("Can't reach the server. Check your connection and try again.");
+  });
+});
+
+describe('Register', () => {
+  beforeEach(() => api.clearTokens());
+
+  const fillIn = ({ username = 'alice', email = 'alice@example.com', password = 'river-stone-42', confirmPassword = password } = {}) => {
+    typeInto('Username', username);
+    typeInto('Email', email);
+    typeInto('Password', password);
+    typeInto('Confirm password', confirmPassword);
+    fireEvent.click(screen.getByRole('button', { name: 'Register' }));
+  };
+
+  it('checks the form before sending anything', () => {
+    vi.stubGlobal('fetch', vi.fn());
+    renderView(<Register onLogin={() => {}} />, null);
+    fillIn({ username: 'a b', email: 'not-an-email', password: '12345678', confirmPassword: '87654321' });
+
+    expect(screen.getByText('Use 3-150 letters, digits or @ . + - _ characters.')).toBeTruthy();
+    expect(screen.getByText('Enter a valid email address.')).toBeTruthy();
+    expect(screen.getByText("Your password can't be entirely numeric.")).toBeTruthy();
+    expect(screen.getByText("Passwords don't match.")).toBeTruthy();
+    expect(screen.getByLabelText('Email').getAttribute('aria-invalid')).toBe('true');
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it('rejects a password that contains the username', () => {
+    vi.stubGlobal('fetch', vi.fn());
+    renderView(<Register onLogin={() => {}} />, null);
+    fillIn({ password: 'alice-in-wonderland' });
+    expect(screen.getByText('Your password is too similar to your username.')).toBeTruthy();
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it('shows validation errors from the server next to their fields', async () => {
+    vi.stubGlobal('fetch', answer({ '/register/': jsonResponse({ username: ['A user with that username already exists.'] }, 400) }));
+    renderView(<Register onLogin={() => {}} />, null);
+    fillIn();
+    expect(await screen.findByText('A user with that username already exists.')).toBeTruthy();
+    expect(screen.getByLabelText('Username').getAttribute('aria-invalid')).toBe('true');
+  });
+
+  it('signs in with the new credentials when registration returns no tokens', async () => {
+    const login = vi.fn(() => jsonResponse({ access: tokenFor('alice'), refresh: 'refresh' }));
+    vi.stubGlobal('fetch', answer({ '/register/': jsonResponse({ id: 7, username: 'alice' }, 201), '/login/': login }));
+    const onLogin = vi.fn();
+    renderView(<Register onLogin={onLogin} />, null);
+    fillIn();
+
+    await vi.waitFor(() => expect(onLogin).toHaveBeenCalled());
+    expect(login).toHaveBeenCalledWith({ username: 'alice', password: 'river-stone-42' });
+    expect(api.accessToken).toBe(tokenFor('alice'));
+  });
+
+  it('uses the tokens registration hands out', async () => {
+    const login = vi.fn();
+    vi.stubGlobal('fetch', answer({
+      '/register/': jsonResponse({ access: tokenFor('alice'), refresh: 'refresh' }, 201),
+      '/login/': login,
+    }));
+    const onLogin = vi.fn();
+    renderView(<Register onLogin={onLogin} />, null);
+    fillIn();
+
+    await vi.waitFor(() => expect(onLogin).toHaveBeenCalled());
+    expect(login).not.toHaveBeenCalled();
+  });
+
+  it('reports rate limiting', async () => {
+    vi.stubGlobal('fetch', answer({ '/register/': jsonResponse({}, 429) }));
+    renderView(<Register onLogin={() => {}} />, null);
+    fillIn();
+    expect((await screen.findByRole('alert')).textContent).toBe('Too many attempts. Please wait a few minutes and try again.');
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import { joinUrl } from '../App.jsx';
+import { jsonResponse } from './helpers.jsx';
+
+describe('joinUrl', () => {
+  it.each([
+    ['http://localhost:8000', '/login/'],
+    ['http://localhost:8000/', '/login/'],
+    ['http://localhost:8000', 'login/'],
+    ['http://localhost:8000/', 'login/'],
+    ['http://localhost:8000//', '//login/'],
+  ])('puts exactly one slash between %j and %j', (base, endpoint) => {
+    expect(joinUrl(base, endpoint)).toBe('http://localhost:8000/login/');
+  });
+
+  it('keeps a path prefix on the base URL', () => {
+    expect(joinUrl('https://example.com/api', '/login/')).toBe('https://example.com/api/login/');
+    expect(joinUrl('https://example.com/api/', '/Chats/1/')).toBe('https://example.com/api/Chats/1/');
+    expect(joinUrl('https://example.com/v2/api/', 'ChatData/?limit=50')).toBe('https://example.com/v2/api/ChatData/?limit=50');
+  });
+
+  it('passes absolute URLs through, such as pagination cursors', () => {
+    const next = 'https://example.com/api/ChatData/1/messages/?cursor=abc';
+    expect(joinUrl('https://example.com/api/', next)).toBe(next);
+    expect(joinUrl('http://localhost:8000', 'http://localhost:8000/x/')).toBe('http://localhost:8000/x/');
+  });
+});
+
+describe('a production build without VITE_API_BASE_URL', () => {
+  // appConfig is read when the module loads, so each case imports a fresh copy
+  const loadProductionApp = async ({ runtimeConfig } = {}) => {
+    vi.stubEnv('DEV', false);
+    vi.stubEnv('PROD', true);
+    vi.stubEnv('VITE_API_BASE_URL', '');
+    vi.stubGlobal('fetch', vi.fn(async (url) => (url === '/config.json' && runtimeConfig
+      ? jsonResponse(runtimeConfig)
+      : jsonResponse({ detail: 'Not found' }, 404))));
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.resetModules();
+    return import('../App.jsx');
+  };
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+    vi.restoreAllMocks();
+  });
+
+  it('refuses to guess a backend and says why', async () => {
+    const { api, I18nProvider, MissingApiUrlBanner } = await loadProductionApp();
+    await expect(api.request('/Chats/')).rejects.toThrow('This build has no backend URL.');
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(console.error).toHaveBeenCalled();
+
+    render(<I18nProvider><MissingApiUrlBanner /></I18nProvider>);
+    expect((await screen.findByRole('alert')).textContent).toContain('VITE_API_BASE_URL');
+  });
+
+  it('uses the base URL from config.json', async () => {
+    const { api, I18nProvider, MissingApiUrlBanner } = await loadProductionApp({ runtimeConfig: { apiBaseUrl: 'https://api.example.com/' } });
+    await api.request('/Chats/').catch(() => {});
+    expect(fetch).toHaveBeenLastCalledWith('https://api.example.com/Chats/', expect.anything());
+
+    render(<I18nProvider><MissingApiUrlBanner /></I18nProvider>);
+    await new Promise(resolve => setTimeout(resolve, 0));
+    expect(screen.queryByRole('alert')).toBeNull();
+  });
+});
@@ -0,0 +1,119 @@
+import React from 'react';
+import { describe, it, expect, vi } from 'vitest';
+import { screen, fireEvent } from '@testing-library/react';
+import { clearQueryCache, exportSessions, importChatExport, ChatInterface } from '../App.jsx';
+import { jsonResponse, pathOf, renderView } from './helpers.jsx';
+
+const SESSION = { id: 1, title: 'Sunday check-in', AiMode: 'Therapist' };
+
+const fakePrintWindow = () => ({
+  document: { open: vi.fn(), write: vi.fn(), close: vi.fn() },
+  focus: vi.fn(),
+  print: vi.fn(),
+  close: vi.fn(),
+});
+
+describe('loading transcripts', () => {
+  it('fetches a few sessions at a time and keeps their order', async () => {
+    const sessions = Array.from({ length: 7 }, (_, i) => ({ id: i + 1, title: `Session ${i + 1}`, AiMode: 'Therapist' }));
+    let inFlight = 0;
+    let peak = 0;
+    vi.stubGlobal('fetch', vi.fn(async (url) => {
+      inFlight++;
+      peak = Math.max(peak, inFlight);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      inFlight--;
+      const id = pathOf(url).split('/')[2];
+      return jsonResponse({ results: [{ role: 'user', message: `From ${id}` }], next: null });
+    }));
+    const printWindow = fakePrintWindow();
+    vi.spyOn(window, 'open').mockReturnValue(printWindow);
+
+    await exportSessions(sessions, 'pdf');
+    expect(fetch).toHaveBeenCalledTimes(7);
+    expect(peak).toBeLessThanOrEqual(3);
+    const html = printWindow.document.write.mock.lastCall[0];
+    const order = sessions.map(session => html.indexOf(`From ${session.id}<`));
+    expect(order.every((position, i) => position > (order[i - 1] ?? 0))).toBe(true);
+  });
+});
+
+describe('PDF export', () => {
+  it('opens the print window before anything is fetched', async () => {
+    const printWindow = fakePrintWindow();
+    vi.spyOn(window, 'open').mockReturnValue(printWindow);
+    vi.stubGlobal('fetch', vi.fn(async () => jsonResponse({ results: [{ role: 'user', message: 'Hello' }], next: null })));
+
+    const done = exportSessions([SESSION], 'pdf');
+    // Still inside the click: nothing has been awaited yet
+    expect(window.open).toHaveBeenCalledTimes(1);
+    expect(fetch).not.toHaveBeenCalled();
+
+    await done;
+    expect(printWindow.document.write).toHaveBeenLastCalledWith(expect.stringContaining('Sunday check-in'));
+    expect(printWindow.print).toHaveBeenCalled();
+  });
+
+  it('closes the print window when the transcripts fail to load', async () => {
+    const printWindow = fakePrintWindow();
+    vi.spyOn(window, 'open').mockReturnValue(printWindow);
+    vi.stubGlobal('fetch', vi.fn(async () => jsonResponse({ detail: 'Server error' }, 500)));
+
+    await expect(exportSessions([SESSION], 'pdf')).rejects.toThrow();
+    expect(printWindow.close).toHaveBeenCalled();
+    expect(printWindow.print).not.toHaveBeenCalled();
+  });
+
+  it('reports a blocked popup', async () => {
+    vi.spyOn(window, 'open').mockReturnValue(null);
+    vi.stubGlobal('fetch', vi.fn());
+
+    await expect(exportSessions([SESSION], 'pdf')).rejects.toThrow();
+    expect(fetch).not.toHaveBeenCalled();
+  });
+});
+
+describe('export menu', () => {
+  it('shows a failed export in the chat notice', async () => {
+    clearQueryCache();
+    let transcriptsAvailable = true;
+    vi.stubGlobal('fetch', vi.fn(async (url) => {
+      const path = pathOf(url);
+      if (path === '/Chats/') return jsonResponse([{ ...SESSION, updated_at: '2026-10-01T09:00:00Z' }]);
+      if (path === '/ChatData/1/messages/' && transcriptsAvailable) {
+        return jsonResponse({ results: [{ id: 11, role: 'user', message: 'Hello' }], next: null });
+      }
+      return jsonResponse({ detail: 'Transcript unavailable' }, 400);
+    }));
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    renderView(<ChatInterface sessionId={1} />);
+    await screen.findByText('Hello');
+
+    transcriptsAvailable = false;
+    fireEvent.click(screen.getByRole('button', { name: 'Export all' }));
+    fireEvent.click(screen.getByRole('menuitem', { name: 'Markdown' }));
+
+    expect((await screen.findByRole('status')).textContent).toContain('Transcript unavailable');
+    expect(screen.getByRole('button', { name: 'Export all' }).disabled).toBe(false);
+  });
+});
+
+describe('import', () => {
+  it('deletes the new session when its transcript fails to save', async () => {
+    vi.stubGlobal('fetch', vi.fn(async (url, options) => {
+      const path = pathOf(url);
+      if (path === '/Chats/' && options.method === 'POST') return jsonResponse({ id: 42 }, 201);
+      if (path === '/ChatData/') return jsonResponse({ detail: 'Invalid content' }, 400);
+      return new Response(null, { status: 204 });
+    }));
+    const data = {
+      format: 'therapy-ai-chat-export',
+      version: 1,
+      sessions: [{ title: 'Imported', AiMode: 'Therapist', messages: [{ role: 'user', content: 'Hi' }] }],
+    };
+
+    await expect(importChatExport(data)).rejects.toThrow();
+    const calls = fetch.mock.calls.map(([url, options]) => `${options.method} ${pathOf(url)}`);
+    expect(calls).toEqual(['POST /Chats/', 'POST /ChatData/', 'DELETE /Chats/42/']);
+  });
+});
@@ -0,0 +1,24 @@
+import React from 'react';
+import { render } from '@testing-library/react';
+import { api, AuthContext, buildAuthValue, I18nProvider } from '../App.jsx';
+
+export const jsonResponse = (data, status = 200) => new Response(JSON.stringify(data), {
+  status,
+  headers: { 'Content-Type': 'application/json' },
+});
+
+// Path of a URL the app passed to fetch(), which may be relative or absolute
+export const pathOf = (url) => new URL(url, location.origin).pathname;
+
+// Unsigned JWT carrying just the claims the client reads
+export const tokenFor = (userId) => `header.${btoa(JSON.stringify({ user_id: userId }))}.signature`;
+export const signIn = (userId) => api.setTokens(tokenFor(userId), 'refresh');
+
+// Renders a view inside the providers App normally supplies
+export const renderView = (ui, user = { username: 'alice', role: 'clinician' }) => render(
+  <I18nProvider>
+    <AuthContext.Provider value={buildAuthValue(user, true)}>
+      {ui}
+    </AuthContext.Provider>
+  </I18nProvider>
+);
@@ -0,0 +1,68 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { render } from '@testing-library/react';
+import { jsonResponse, pathOf } from './helpers.jsx';
+
+// Whether the backend has the paged endpoint is remembered per page load, so each test
+// gets a fresh copy of the module
+let fetchHistoryPage, VirtualMessageList, I18nProvider;
+beforeEach(async () => {
+  vi.resetModules();
+  ({ fetchHistoryPage, VirtualMessageList, I18nProvider } = await import('../App.jsx'));
+});
+
+const requestedPaths = () => fetch.mock.calls.map(([url]) => pathOf(url));
+
+describe('fetchHistoryPage', () => {
+  it('falls back to /ChatData/ once the paged endpoint turns out to be missing', async () => {
+    vi.stubGlobal('fetch', vi.fn(async (url) => {
+      const path = pathOf(url);
+      if (path === '/ChatData/') return jsonResponse([{ chat: 1, content: [{ role: 'user', message: 'Hi' }] }, { chat: 2, content: [] }]);
+      return jsonResponse({ detail: 'Not found.' }, 404);
+    }));
+
+    expect((await fetchHistoryPage(1)).messages.map(msg => msg.content)).toEqual(['Hi']);
+    await fetchHistoryPage(2);
+    expect(requestedPaths()).toEqual(['/ChatData/1/messages/', '/ChatData/', '/ChatData/']);
+  });
+
+  it('reports a missing session once the paged endpoint is known to exist', async () => {
+    vi.stubGlobal('fetch', vi.fn(async (url) => {
+      const path = pathOf(url);
+      if (path === '/ChatData/1/messages/') return jsonResponse({ results: [{ role: 'user', message: 'Hi' }], next: null });
+      return jsonResponse({ detail: 'Not found.' }, 404);
+    }));
+
+    await fetchHistoryPage(1);
+    await expect(fetchHistoryPage(99)).rejects.toMatchObject({ status: 404 });
+    expect(requestedPaths()).toEqual(['/ChatData/1/messages/', '/ChatData/99/messages/']);
+  });
+});
+
+describe('VirtualMessageList', () => {
+  // jsdom has no layout: give the transcript a viewport and a content height
+  const setLayout = (clientHeight, scrollHeight) => {
+    vi.spyOn(HTMLElement.prototype, 'clientHeight', 'get').mockReturnValue(clientHeight);
+    vi.spyOn(HTMLElement.prototype, 'scrollHeight', 'get').mockReturnValue(scrollHeight);
+  };
+  afterEach(() => vi.restoreAllMocks());
+
+  const renderList = (props) => render(
+    <I18nProvider>
+      <VirtualMessageList items={[{ id: 1, content: 'Hi' }]} renderItem={item => item.content} label="Transcript" {...props} />
+    </I18nProvider>,
+  );
+
+  it('loads older messages while the transcript is too short to scroll', () => {
+    setLayout(600, 120);
+    const onLoadMore = vi.fn();
+    renderList({ hasMore: true, onLoadMore });
+    expect(onLoadMore).toHaveBeenCalledTimes(1);
+  });
+
+  it('waits for a scroll once the transcript overflows', () => {
+    setLayout(600, 2400);
+    const onLoadMore = vi.fn();
+    renderList({ hasMore: true, onLoadMore });
+    expect(onLoadMore).not.toHaveBeenCalled();
+  });
+});
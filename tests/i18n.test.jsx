@@ -0,0 +1,31 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { render, screen, act } from '@testing-library/react';
+import { StrictMode } from 'react';
+import { api, I18nProvider, useI18n } from '../App.jsx';
+
+let i18n;
+const Probe = () => {
+  i18n = useI18n();
+  return <p>{i18n.t('auth.email')}</p>;
+};
+
+afterEach(() => act(() => i18n.setLocale('en')));
+
+describe('I18nProvider', () => {
+  it('switches translations and request headers together', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => new Response('{}')));
+    render(<StrictMode><I18nProvider><Probe /></I18nProvider></StrictMode>);
+    expect(screen.getByText('Email')).toBeTruthy();
+
+    act(() => i18n.setLocale('es'));
+    expect(screen.getByText('Correo electrónico')).toBeTruthy();
+    await api.request('/Chats/');
+    expect(fetch.mock.calls[0][1].headers['Accept-Language']).toBe('es');
+  });
+
+  it('ignores unknown locales', () => {
+    render(<I18nProvider><Probe /></I18nProvider>);
+    act(() => i18n.setLocale('xx'));
+    expect(i18n.locale).toBe('en');
+  });
+});
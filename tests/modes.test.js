@@ -0,0 +1,44 @@
+import { describe, it, expect, vi } from 'vitest';
+import bundledModes from '../ai-modes.json';
+import { loadModeCatalogue, insertModeMarkers, prependOlderMessages } from '../App.jsx';
+import { jsonResponse } from './helpers.jsx';
+
+describe('loadModeCatalogue', () => {
+  it('falls back to the bundled modes and retries on the next call', async () => {
+    vi.stubGlobal('fetch', vi.fn()
+      .mockResolvedValueOnce(jsonResponse({ detail: 'Not found.' }, 404))
+      .mockResolvedValue(jsonResponse([{ id: 'Coach', name: 'Coach' }])));
+
+    expect((await loadModeCatalogue()).map(mode => mode.id)).toEqual(bundledModes.modes.map(mode => mode.id));
+    expect((await loadModeCatalogue()).map(mode => mode.id)).toEqual(['Coach']);
+    await loadModeCatalogue();
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+});
+
+const msg = (id, mode) => ({ id, role: 'assistant', content: `Reply ${id}`, mode });
+const shape = (messages) => messages.map(m => (m.role === 'mode_switch' ? `→${m.mode}` : m.id));
+
+describe('mode markers', () => {
+  it('marks switches between consecutive messages', () => {
+    expect(shape(insertModeMarkers([msg(1, 'Therapist'), msg(2, 'Therapist'), msg(3, 'Coach')])))
+      .toEqual([1, 2, '→Coach', 3]);
+  });
+
+  it('marks a switch that falls between an older page and the loaded one', () => {
+    const current = insertModeMarkers([msg(3, 'Coach'), msg(4, 'Coach')]);
+    expect(shape(prependOlderMessages([msg(1, 'Therapist'), msg(2, 'Therapist')], current)))
+      .toEqual([1, 2, '→Coach', 3, 4]);
+  });
+
+  it('adds nothing at the seam when the mode carries on', () => {
+    const current = insertModeMarkers([msg(3, 'Coach')]);
+    expect(shape(prependOlderMessages([msg(1, 'Therapist'), msg(2, 'Coach')], current)))
+      .toEqual([1, '→Coach', 2, 3]);
+  });
+
+  it('keeps an existing marker at the start of the loaded messages', () => {
+    const current = [{ id: 'mode-x', role: 'mode_switch', mode: 'Coach' }, { id: 3, role: 'user', content: 'Hi' }];
+    expect(shape(prependOlderMessages([msg(1, 'Therapist')], current))).toEqual([1, '→Coach', 3]);
+  });
+});
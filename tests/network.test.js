@@ -0,0 +1,75 @@
+import { describe, it, expect, vi } from 'vitest';
+import { sleep, fetchWithTimeout } from '../App.jsx';
+
+// Counts the abort listeners currently registered on `signal`
+const trackListeners = (signal) => {
+  const listeners = new Set();
+  const add = signal.addEventListener.bind(signal);
+  const remove = signal.removeEventListener.bind(signal);
+  signal.addEventListener = (type, listener, options) => {
+    listeners.add(listener);
+    add(type, listener, options);
+  };
+  signal.removeEventListener = (type, listener, options) => {
+    listeners.delete(listener);
+    remove(type, listener, options);
+  };
+  return listeners;
+};
+
+describe('sleep', () => {
+  it("removes its listener from the caller's signal once it resolves", async () => {
+    const controller = new AbortController();
+    const listeners = trackListeners(controller.signal);
+    await sleep(1, controller.signal);
+    await sleep(1, controller.signal);
+    expect(listeners.size).toBe(0);
+  });
+
+  it('rejects with an AbortError when the signal fires', async () => {
+    const controller = new AbortController();
+    const pending = sleep(1000, controller.signal);
+    controller.abort();
+    await expect(pending).rejects.toMatchObject({ name: 'AbortError' });
+  });
+});
+
+describe('fetchWithTimeout', () => {
+  // jsdom has no AbortSignal.any(), which browsers use to combine the signals without a listener
+  it("combines the caller's signal with AbortSignal.any() where available", async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => new Response('{}')));
+    const combined = new AbortController().signal;
+    const any = vi.fn(() => combined);
+    AbortSignal.any = any;
+    const controller = new AbortController();
+    const listeners = trackListeners(controller.signal);
+    try {
+      for (let i = 0; i < 5; i++) await fetchWithTimeout('/Chats/', { signal: controller.signal }, 1000);
+    } finally {
+      delete AbortSignal.any;
+    }
+
+    expect(listeners.size).toBe(0);
+    expect(any).toHaveBeenCalledWith([controller.signal, expect.anything()]);
+    expect(fetch.mock.calls[0][1].signal).toBe(combined);
+  });
+
+  it("passes the caller's abort on to the request after the headers are in", async () => {
+    let requestSignal;
+    vi.stubGlobal('fetch', vi.fn(async (url, config) => {
+      requestSignal = config.signal;
+      return new Response('{}');
+    }));
+    const controller = new AbortController();
+    await fetchWithTimeout('/Chats/', { signal: controller.signal }, 1000);
+    controller.abort();
+    expect(requestSignal.aborted).toBe(true);
+  });
+
+  it('turns a slow response into a TimeoutError', async () => {
+    vi.stubGlobal('fetch', vi.fn((url, config) => new Promise((resolve, reject) => {
+      config.signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+    })));
+    await expect(fetchWithTimeout('/Chats/', {}, 5)).rejects.toMatchObject({ name: 'TimeoutError' });
+  });
+});
@@ -0,0 +1,115 @@
+import 'fake-indexeddb/auto';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  api,
+  createOutboxEntry,
+  saveOutboxEntry,
+  deleteOutboxEntry,
+  getOutboxEntries,
+  flushOutbox,
+} from '../App.jsx';
+import { jsonResponse, signIn } from './helpers.jsx';
+
+// continue_chat answers by session: 404 for a deleted one, 503 while the server is down
+const STATUS_BY_SESSION = { 404: 404, 503: 503 };
+const fakeFetch = vi.fn(async (url, { body }) => {
+  const { ChatID } = JSON.parse(body);
+  const status = STATUS_BY_SESSION[ChatID];
+  return status ? jsonResponse({ detail: 'Nope' }, status) : jsonResponse({ response: `Reply in ${ChatID}` });
+});
+
+const queue = async (...sessionIds) => {
+  const entries = [];
+  for (const [i, sessionId] of sessionIds.entries()) {
+    const entry = { ...createOutboxEntry(sessionId, `Prompt ${i}`, 'therapist'), createdAt: i };
+    await saveOutboxEntry(entry);
+    entries.push(entry);
+  }
+  return entries;
+};
+
+const allEntries = async () => {
+  const owners = ['alice', 'bob'];
+  return (await Promise.all(owners.map(owner => getOutboxEntries(owner)))).flat();
+};
+
+const statuses = async () => Object.fromEntries((await getOutboxEntries()).map(entry => [entry.sessionId, entry.status]));
+
+beforeEach(async () => {
+  for (const entry of await allEntries()) await deleteOutboxEntry(entry.id);
+  fakeFetch.mockClear();
+  vi.stubGlobal('fetch', fakeFetch);
+  signIn('alice');
+});
+
+describe('flushOutbox', () => {
+  it('delivers queued prompts oldest first and removes them', async () => {
+    await queue(1, 2);
+    await flushOutbox();
+    expect(fakeFetch.mock.calls.map(([, init]) => JSON.parse(init.body).ChatID)).toEqual([1, 2]);
+    expect(await getOutboxEntries()).toEqual([]);
+  });
+
+  it('marks a prompt the server rejects and keeps draining the rest', async () => {
+    await queue(404, 2);
+    await flushOutbox();
+    expect(await statuses()).toEqual({ 404: 'rejected' });
+  });
+
+  it('skips rejected prompts on later flushes', async () => {
+    await queue(404);
+    await flushOutbox();
+    await flushOutbox();
+    expect(fakeFetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('stops at a server error so later prompts keep their order', async () => {
+    await queue(503, 2);
+    await flushOutbox();
+    expect(fakeFetch).toHaveBeenCalledTimes(1);
+    expect(await statuses()).toEqual({ 503: 'failed', 2: 'pending' });
+  });
+});
+
+describe('per-user outbox', () => {
+  it("never sends another user's queued prompts", async () => {
+    signIn('bob');
+    await queue(1);
+    signIn('alice');
+    await flushOutbox();
+    expect(fakeFetch).not.toHaveBeenCalled();
+    expect(await getOutboxEntries('bob')).toHaveLength(1);
+  });
+
+  it("clears the user's prompts on logout", async () => {
+    signIn('bob');
+    await queue(1);
+    signIn('alice');
+    await queue(2);
+    await api.logout();
+    await vi.waitFor(async () => expect(await getOutboxEntries('alice')).toEqual([]));
+    expect(await getOutboxEntries('bob')).toHaveLength(1);
+  });
+});
+
+describe('delivery', () => {
+  it('does not resend a prompt whose reply broke off mid-stream', async () => {
+    const encoder = new TextEncoder();
+    fakeFetch.mockImplementationOnce(async () => new Response(new ReadableStream({
+      start(controller) {
+        controller.enqueue(encoder.encode('data: Hello\n\n'));
+        controller.error(new TypeError('network error'));
+      },
+    }), { headers: { 'Content-Type': 'text/event-stream' } }));
+    await queue(1);
+    await flushOutbox();
+    expect(await getOutboxEntries()).toEqual([]);
+  });
+
+  it('keeps a prompt for retry when the connection fails before the server answers', async () => {
+    fakeFetch.mockRejectedValueOnce(new TypeError('network error'));
+    await queue(1);
+    await flushOutbox();
+    expect(await statuses()).toEqual({ 1: 'failed' });
+  });
+});
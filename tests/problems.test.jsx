@@ -0,0 +1,42 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { screen, act, fireEvent, within } from '@testing-library/react';
+import { clearQueryCache, useI18n, ProblemsView } from '../App.jsx';
+import { jsonResponse, pathOf, renderView } from './helpers.jsx';
+
+const PROBLEMS = [
+  { id: 1, category: 'Sleep', content: 'Insomnia most nights', severity: 3, status: 'open', created_at: '2026-09-20T09:00:00Z' },
+  { id: 2, content: 'Low mood in the mornings', severity: 5, status: 'open', created_at: '2026-09-22T09:00:00Z' },
+];
+
+let i18n;
+const LocaleProbe = () => {
+  i18n = useI18n();
+  return null;
+};
+
+beforeEach(() => {
+  clearQueryCache();
+  vi.stubGlobal('fetch', vi.fn(async (url) => (pathOf(url) === '/Problems/' ? jsonResponse(PROBLEMS) : jsonResponse({}, 404))));
+});
+
+describe('problems without a category', () => {
+  it('are labelled in the interface language', async () => {
+    renderView(<><LocaleProbe /><ProblemsView /></>);
+    await screen.findByText('Low mood in the mornings');
+    act(() => i18n.setLocale('ar'));
+
+    expect(screen.getByRole('heading', { name: 'عام' })).toBeTruthy();
+    const filter = screen.getByRole('combobox', { name: i18n.t('problems.filterCategory') });
+    expect(within(filter).getByRole('option', { name: 'عام' })).toBeTruthy();
+    act(() => i18n.setLocale('en'));
+  });
+
+  it('can be filtered on', async () => {
+    renderView(<ProblemsView />);
+    await screen.findByText('Low mood in the mornings');
+    fireEvent.change(screen.getByRole('combobox', { name: 'Filter by category' }), { target: { value: '' } });
+
+    expect(screen.getByText('Low mood in the mornings')).toBeTruthy();
+    expect(screen.queryByText('Insomnia most nights')).toBeNull();
+  });
+});
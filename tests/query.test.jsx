@@ -0,0 +1,96 @@
+import React from 'react';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { render, screen, act } from '@testing-library/react';
+import { clearQueryCache, fetchQuery, getQueryEntry, useQuery } from '../App.jsx';
+
+// A fetcher that never settles on its own and records the signal it was given
+const pendingFetcher = () => {
+  const fetcher = vi.fn((signal) => new Promise((resolve, reject) => {
+    fetcher.signal = signal;
+    signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+  }));
+  return fetcher;
+};
+
+const Subscriber = ({ queryKey, fetcher }) => {
+  useQuery(queryKey, fetcher);
+  return null;
+};
+
+const flushMicrotasks = () => new Promise(resolve => setTimeout(resolve, 0));
+
+beforeEach(() => {
+  clearQueryCache();
+});
+
+describe('query cancellation', () => {
+  it('aborts the fetch once the last subscribed view unmounts', async () => {
+    const fetcher = pendingFetcher();
+    const first = render(<Subscriber queryKey={['chats']} fetcher={fetcher} />);
+    const second = render(<Subscriber queryKey={['chats']} fetcher={fetcher} />);
+    expect(fetcher).toHaveBeenCalledTimes(1);
+
+    first.unmount();
+    await flushMicrotasks();
+    expect(fetcher.signal.aborted).toBe(false);
+
+    second.unmount();
+    await flushMicrotasks();
+    expect(fetcher.signal.aborted).toBe(true);
+    // An abandoned fetch is not an error for the next view to show
+    expect(getQueryEntry(['chats']).state).toMatchObject({ error: null, fetching: false });
+  });
+
+  it('aborts a direct fetch once every caller has given up', async () => {
+    const fetcher = pendingFetcher();
+    const first = new AbortController();
+    const second = new AbortController();
+    fetchQuery(['history', 1], fetcher, { signal: first.signal }).catch(() => {});
+    fetchQuery(['history', 1], fetcher, { signal: second.signal }).catch(() => {});
+
+    first.abort();
+    expect(fetcher.signal.aborted).toBe(false);
+    second.abort();
+    expect(fetcher.signal.aborted).toBe(true);
+  });
+
+  it('starts a fresh fetch for a caller arriving after an abort', async () => {
+    const fetcher = pendingFetcher();
+    const controller = new AbortController();
+    fetchQuery(['history', 2], fetcher, { signal: controller.signal }).catch(() => {});
+    controller.abort();
+
+    fetchQuery(['history', 2], fetcher).catch(() => {});
+    expect(fetcher).toHaveBeenCalledTimes(2);
+    expect(fetcher.signal.aborted).toBe(false);
+    await flushMicrotasks();
+    expect(getQueryEntry(['history', 2]).state.fetching).toBe(true);
+  });
+});
+
+describe('clearing the cache', () => {
+  const Names = ({ fetcher }) => {
+    const { data } = useQuery(['chats'], fetcher);
+    return <p>{data ? data.join(', ') : 'loading'}</p>;
+  };
+
+  it('moves mounted queries over to fresh data', async () => {
+    const fetcher = vi.fn()
+      .mockResolvedValueOnce(['alice chat'])
+      .mockResolvedValueOnce(['bob chat']);
+    render(<Names fetcher={fetcher} />);
+    expect(await screen.findByText('alice chat')).toBeTruthy();
+
+    act(() => clearQueryCache());
+    expect(await screen.findByText('bob chat')).toBeTruthy();
+    expect(fetcher).toHaveBeenCalledTimes(2);
+    expect(getQueryEntry(['chats']).listeners.size).toBe(1);
+  });
+
+  it('aborts fetches still in flight for the old user', () => {
+    const fetcher = pendingFetcher();
+    render(<Subscriber queryKey={['chats']} fetcher={fetcher} />);
+    act(() => clearQueryCache());
+    expect(fetcher.mock.calls[0][0].aborted).toBe(true);
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { startMockRealtimeServer } from '../mock-realtime-server.js';
+import { api, RealtimeClient, getQueryEntry, setQueryData } from '../App.jsx';
+import { jsonResponse } from './helpers.jsx';
+
+let server;
+let client;
+
+const connect = (options = {}) => {
+  client = new RealtimeClient({ url: server.url, ...options });
+  client.start();
+  return client;
+};
+
+// Reconnects wait out RETRY_BASE_DELAY_MS-based backoff, so allow a couple of seconds
+const eventually = (assertion) => vi.waitFor(assertion, { timeout: 3000, interval: 20 });
+
+beforeEach(async () => {
+  server = await startMockRealtimeServer();
+  api.setTokens('valid-token', 'refresh');
+  vi.stubGlobal('fetch', vi.fn(async () => jsonResponse({ detail: 'Not found' }, 404)));
+});
+
+afterEach(async () => {
+  client?.stop();
+  client = null;
+  await server.close();
+});
+
+describe('RealtimeClient', () => {
+  it('authenticates with the access token after connecting', async () => {
+    connect();
+    await eventually(() => expect(server.auths).toEqual(['valid-token']));
+  });
+
+  it('applies change events to cached queries', async () => {
+    setQueryData(['chats'], [{ id: 1, title: 'Before' }]);
+    connect();
+    // Set once the client has seen auth.ok
+    await eventually(() => expect(client.connectedBefore).toBe(true));
+    server.broadcast({ type: 'chat.updated', data: { id: 1, title: 'After' } });
+    await eventually(() => expect(getQueryEntry(['chats']).state.data).toEqual([{ id: 1, title: 'After' }]));
+  });
+
+  it('reconnects with backoff after the connection drops', async () => {
+    connect();
+    await eventually(() => expect(server.auths).toHaveLength(1));
+    server.dropAll();
+    await eventually(() => expect(server.auths).toHaveLength(2));
+  });
+
+  it('pings while connected and reconnects when pongs stop', async () => {
+    connect({ heartbeatMs: 30, staleMs: 100 });
+    await eventually(() => expect(server.pings).toBeGreaterThan(1));
+    server.answerPings = false;
+    await eventually(() => expect(server.auths).toHaveLength(2));
+  });
+
+  it('refreshes the token and retries when the server rejects it with 4001', async () => {
+    api.setTokens('invalid', 'refresh');
+    fetch.mockImplementation(async () => jsonResponse({ access: 'fresh-token' }));
+    connect();
+    await eventually(() => expect(server.auths).toEqual(['invalid', 'fresh-token']));
+  });
+
+  it('gives up when the token is rejected and cannot be refreshed', async () => {
+    api.setTokens('invalid', 'refresh');
+    fetch.mockImplementation(async () => jsonResponse({ detail: 'Token is invalid' }, 401));
+    connect();
+    await eventually(() => expect(client.active).toBe(false));
+    expect(server.auths).toEqual(['invalid']);
+  });
+});
@@ -0,0 +1,30 @@
+import { describe, it, expect } from 'vitest';
+import { matchRoute, sameOriginPath } from '../App.jsx';
+
+describe('matchRoute', () => {
+  it('decodes path parameters', () => {
+    expect(matchRoute('/chat/a%20b')).toMatchObject({ name: 'chat', params: { sessionId: 'a b' } });
+  });
+
+  it('treats a malformed escape as not found', () => {
+    expect(() => matchRoute('/chat/%E0%A4')).not.toThrow();
+    expect(matchRoute('/chat/%E0%A4')).toBeNull();
+  });
+
+  it('returns null for unknown paths', () => {
+    expect(matchRoute('/nowhere')).toBeNull();
+  });
+});
+
+describe('sameOriginPath', () => {
+  it('keeps paths on this origin', () => {
+    expect(sameOriginPath('/chat/3?q=sleep#m2')).toBe('/chat/3?q=sleep#m2');
+  });
+
+  it.each(['//evil.com', '/\\evil.com', '/\\/evil.com', 'https://evil.com', 'javascript:alert(1)', '', null])(
+    'rejects %j',
+    (next) => {
+      expect(sameOriginPath(next)).toBeNull();
+    },
+  );
+});
@@ -0,0 +1,123 @@
+import { describe, it, expect } from 'vitest';
+import crisisRules from '../crisis-rules.json';
+import { normalizeForSafety, compileSafetyRules, detectCrisisLanguage } from '../App.jsx';
+
+// At least one phrase per rule that must trigger it. A rule added to crisis-rules.json
+// without samples here fails the coverage test below.
+const SAMPLES = {
+  'suicide-en': ['I keep thinking about suicide', 'I want to die', "I don't want to live anymore", 'maybe I should just end it all'],
+  'self-harm-en': ['I have been cutting myself again', 'thoughts of self-harm', 'I took an overdose'],
+  'suicide-es': ['pienso en el suicidio', 'quiero morirme', 'no quiero vivir así'],
+  'self-harm-es': ['quiero hacerme daño', 'a veces pienso en cortarme'],
+  'suicide-fr': ['je veux mourir', 'je pense au suicide', 'mettre fin à mes jours'],
+  'self-harm-fr': ["j'ai envie de me faire du mal", 'automutilation'],
+  'suicide-de': ['ich denke an Selbstmord', 'ich will sterben', 'ich will mir das Leben nehmen'],
+  'self-harm-de': ['ich will mich ritzen', 'Selbstverletzung'],
+  'suicide-hi': ['मैं आत्महत्या के बारे में सोचता हूँ', 'मैं मरना चाहता हूँ'],
+  'self-harm-hi': ['मैं खुद को नुकसान पहुँचाना चाहती हूँ'],
+  'suicide-ar': ['أفكر في الانتحار', 'أريد أن أموت', 'سأقتل نفسي', 'لا أريد أن أعيش', 'بدي موت'],
+  'self-harm-ar': ['أريد أن أؤذي نفسي', 'أفكر في إيذاء النفس', 'جرحت نفسي أمس', 'أخذت جرعة زائدة'],
+};
+
+// Everyday phrases that share words or stems with the rules but must not trigger them
+const NON_MATCHES = [
+  'This traffic is killing me',
+  'I could kill for a coffee',
+  'I cut my finger while cooking',
+  'my phone battery died',
+  'that joke killed',
+  'the harmony in this song is lovely',
+  'me encanta cortar el césped',
+  'je me suis coupé les cheveux',
+  'ich habe heute Sport gemacht',
+  'मुझे खाना पसंद है',
+  'الحر يقتلني اليوم',
+  'عنده جرح نفسي قديم',
+  'أريد أن أعيش في مدينة أخرى',
+  '',
+];
+
+const ids = (text) => detectCrisisLanguage(text).map(rule => rule.id);
+
+describe('normalizeForSafety', () => {
+  it('lowercases text', () => {
+    expect(normalizeForSafety('I Want To DIE')).toBe('i want to die');
+  });
+
+  it('strips Latin diacritics', () => {
+    expect(normalizeForSafety('hacerme daño')).toBe('hacerme dano');
+    expect(normalizeForSafety('mettre fin à mes jours')).toBe('mettre fin a mes jours');
+  });
+
+  it('folds curly apostrophes to straight ones', () => {
+    expect(normalizeForSafety('don’t')).toBe("don't");
+  });
+
+  it('leaves other scripts readable', () => {
+    expect(normalizeForSafety('आत्महत्या')).toBe('आत्महत्या'.normalize('NFKD'));
+  });
+
+  it('drops Arabic vowel marks, hamza and tatweel', () => {
+    expect(normalizeForSafety('أُرِيدُ')).toBe('اريد');
+    expect(normalizeForSafety('انـتـحـار')).toBe('انتحار');
+    expect(normalizeForSafety('أؤذي')).toBe('اوذي');
+  });
+
+  it('treats missing text as empty', () => {
+    expect(normalizeForSafety(undefined)).toBe('');
+    expect(normalizeForSafety(null)).toBe('');
+  });
+});
+
+describe('detectCrisisLanguage', () => {
+  it('has samples for every rule in crisis-rules.json', () => {
+    expect(Object.keys(SAMPLES).sort()).toEqual(crisisRules.rules.map(rule => rule.id).sort());
+  });
+
+  for (const rule of crisisRules.rules) {
+    it(`matches the ${rule.locale} ${rule.category} rule`, () => {
+      for (const sample of SAMPLES[rule.id] || []) {
+        expect(ids(sample), sample).toContain(rule.id);
+      }
+    });
+  }
+
+  it('ignores case, accents and punctuation around the phrase', () => {
+    expect(ids('I WANT TO DIE!!!')).toContain('suicide-en');
+    expect(ids('"Suicide."')).toContain('suicide-en');
+    expect(ids('Quiero hacerme DAÑO...')).toContain('self-harm-es');
+    expect(ids('quiero hacerme dano')).toContain('self-harm-es');
+    expect(ids('I don’t want to be alive')).toContain('suicide-en');
+    expect(ids('أُرِيدُ أَنْ أَمُوتَ')).toContain('suicide-ar');
+    expect(ids('اريد ان اموت')).toContain('suicide-ar');
+  });
+
+  it('only matches whole words', () => {
+    expect(ids('overdosed on coffee')).toEqual([]);
+    expect(ids('selfharmony')).toEqual([]);
+    expect(ids('matarmelo')).toEqual([]);
+    expect(ids('الانتحاريون')).toEqual([]);
+  });
+
+  it.each(NON_MATCHES)('does not match %j', (text) => {
+    expect(ids(text)).toEqual([]);
+  });
+
+  it('reports id, locale and category but not the text', () => {
+    const [match] = detectCrisisLanguage('I want to die');
+    expect(match).toEqual({ id: 'suicide-en', locale: 'en', category: 'suicide' });
+  });
+});
+
+describe('compileSafetyRules', () => {
+  it('normalises patterns so accented rules match accented input', () => {
+    const rules = compileSafetyRules([{ id: 'custom', locale: 'es', category: 'test', pattern: 'daño' }]);
+    expect(detectCrisisLanguage('mucho DAÑO', rules).map(rule => rule.id)).toEqual(['custom']);
+  });
+
+  it('does not match inside longer words in non-Latin scripts', () => {
+    const rules = compileSafetyRules([{ id: 'custom', locale: 'hi', category: 'test', pattern: 'मार' }]);
+    expect(detectCrisisLanguage('मारना', rules)).toEqual([]);
+    expect(detectCrisisLanguage('खुद को मार दूँ', rules).map(rule => rule.id)).toEqual(['custom']);
+  });
+});
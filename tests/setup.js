@@ -0,0 +1,19 @@
+import { afterEach, expect } from 'vitest';
+import { cleanup } from '@testing-library/react';
+import * as axeMatchers from 'vitest-axe/matchers';
+
+expect.extend(axeMatchers);
+
+afterEach(() => {
+  cleanup();
+  localStorage.clear();
+});
+
+// Browser APIs the views touch that jsdom doesn't implement
+globalThis.ResizeObserver ??= class {
+  observe() {}
+  unobserve() {}
+  disconnect() {}
+};
+Element.prototype.scrollIntoView ??= function () {};
+Element.prototype.scrollTo ??= function () {};
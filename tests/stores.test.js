@@ -0,0 +1,47 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { api, journalStore, readDrafts, saveDraft } from '../App.jsx';
+import { signIn } from './helpers.jsx';
+
+beforeEach(() => {
+  // A backend without /Journal/ puts the store into its localStorage fallback
+  vi.stubGlobal('fetch', vi.fn(async () => new Response('{}', { status: 404 })));
+});
+
+describe('journal fallback storage', () => {
+  it("keeps each user's entries apart", async () => {
+    signIn('alice');
+    await journalStore.create({ title: 'Private', body: 'Only for alice' });
+    signIn('bob');
+    expect(await journalStore.list()).toEqual([]);
+    signIn('alice');
+    expect((await journalStore.list()).map(entry => entry.title)).toEqual(['Private']);
+  });
+
+  it('clears the entries on logout', async () => {
+    signIn('alice');
+    await journalStore.create({ title: 'Private', body: 'Only for alice' });
+    localStorage.setItem('journal_entries', '[{"id":1,"title":"Unscoped"}]');
+    await api.logout();
+    await vi.waitFor(() => expect(localStorage.getItem('journal_entries:alice')).toBeNull());
+    expect(localStorage.getItem('journal_entries')).toBeNull();
+  });
+});
+
+describe('chat drafts', () => {
+  it("keeps each user's drafts apart", () => {
+    signIn('alice');
+    saveDraft(1, 'Half-written thought');
+    signIn('bob');
+    expect(readDrafts()).toEqual({});
+    signIn('alice');
+    expect(readDrafts()).toEqual({ 1: 'Half-written thought' });
+  });
+
+  it('clears the drafts on logout', async () => {
+    signIn('alice');
+    saveDraft(1, 'Half-written thought');
+    await api.logout();
+    signIn('alice');
+    await vi.waitFor(() => expect(readDrafts()).toEqual({}));
+  });
+});
@@ -0,0 +1,44 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { screen, act, fireEvent } from '@testing-library/react';
+import { clearQueryCache, useI18n, TeamMembersView } from '../App.jsx';
+import { jsonResponse, pathOf, renderView } from './helpers.jsx';
+
+const TEAMS = [
+  { id: 1, teamname: 'Care team', content: [{ username: 'alice', role: 'owner' }, { role: 'member' }, { role: 'member' }] },
+];
+
+let i18n;
+const LocaleProbe = () => {
+  i18n = useI18n();
+  return null;
+};
+
+beforeEach(() => {
+  clearQueryCache();
+  vi.stubGlobal('fetch', vi.fn(async (url) => (pathOf(url) === '/TeamMembers/' ? jsonResponse(TEAMS) : jsonResponse({}, 404))));
+});
+
+describe('team members without a username', () => {
+  it('are labelled in the interface language', async () => {
+    renderView(<><LocaleProbe /><TeamMembersView /></>);
+    expect(await screen.findAllByText('Unknown member')).toHaveLength(2);
+
+    act(() => i18n.setLocale('es'));
+    expect(screen.getAllByText('Miembro desconocido')).toHaveLength(2);
+    act(() => i18n.setLocale('en'));
+  });
+
+  it('can be removed one at a time', async () => {
+    renderView(<TeamMembersView />);
+    fireEvent.click(await screen.findByText('Edit Members'));
+    fireEvent.click(screen.getAllByLabelText('Remove Unknown member')[0]);
+
+    const patchCall = () => fetch.mock.calls.find(([, options]) => options?.method === 'PATCH');
+    await vi.waitFor(() => expect(patchCall()).toBeDefined());
+    const [, patch] = patchCall();
+    expect(JSON.parse(patch.body).content).toEqual([
+      { username: 'alice', role: 'owner' },
+      { username: null, role: 'member' },
+    ]);
+  });
+});
@@ -0,0 +1,135 @@
+import React from 'react';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { renderHook, act, screen, fireEvent } from '@testing-library/react';
+import { useVoiceInput, ReadAloudButton } from '../App.jsx';
+import { renderView } from './helpers.jsx';
+
+// Enough of MediaRecorder for the hook: stop() fires onstop like the browser does
+class FakeRecorder {
+  constructor(stream) {
+    this.stream = stream;
+    this.state = 'inactive';
+    this.mimeType = 'audio/webm';
+  }
+  start() { this.state = 'recording'; }
+  stop() {
+    this.state = 'inactive';
+    this.ondataavailable?.({ data: new Blob(['audio']) });
+    this.onstop?.();
+  }
+}
+
+let track;
+beforeEach(() => {
+  track = { stop: vi.fn() };
+  vi.stubGlobal('MediaRecorder', FakeRecorder);
+  Object.defineProperty(navigator, 'mediaDevices', {
+    configurable: true,
+    value: { getUserMedia: vi.fn(async () => ({ getTracks: () => [track] })) },
+  });
+  vi.stubGlobal('fetch', vi.fn(async () => new Response(JSON.stringify({ text: 'hello' }), {
+    headers: { 'Content-Type': 'application/json' },
+  })));
+});
+
+describe('useVoiceInput with recorded audio', () => {
+  it('transcribes the recording when stopped', async () => {
+    const onTranscript = vi.fn();
+    const { result } = renderHook(() => useVoiceInput(onTranscript));
+    await act(() => result.current.start());
+    await act(async () => result.current.stop());
+    await vi.waitFor(() => expect(onTranscript).toHaveBeenCalledWith('hello'));
+    expect(track.stop).toHaveBeenCalled();
+  });
+
+  it('releases the microphone without uploading when unmounted mid-recording', async () => {
+    const onTranscript = vi.fn();
+    const { result, unmount } = renderHook(() => useVoiceInput(onTranscript));
+    await act(() => result.current.start());
+    unmount();
+    await new Promise(resolve => setTimeout(resolve, 0));
+    expect(track.stop).toHaveBeenCalled();
+    expect(fetch).not.toHaveBeenCalled();
+    expect(onTranscript).not.toHaveBeenCalled();
+  });
+
+  it('drops the transcript when unmounted during the upload', async () => {
+    fetch.mockImplementation((url, config) => new Promise((resolve, reject) => {
+      config.signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+    }));
+    const onTranscript = vi.fn();
+    const { result, unmount } = renderHook(() => useVoiceInput(onTranscript));
+    await act(() => result.current.start());
+    await act(async () => result.current.stop());
+    await vi.waitFor(() => expect(fetch).toHaveBeenCalled());
+    unmount();
+    expect(fetch.mock.calls[0][1].signal.aborted).toBe(true);
+    await new Promise(resolve => setTimeout(resolve, 0));
+    expect(onTranscript).not.toHaveBeenCalled();
+  });
+
+  it('releases a microphone granted after unmounting', async () => {
+    let grant;
+    navigator.mediaDevices.getUserMedia.mockImplementation(() => new Promise(resolve => { grant = resolve; }));
+    const { result, unmount } = renderHook(() => useVoiceInput(vi.fn()));
+    let starting;
+    act(() => { starting = result.current.start(); });
+    unmount();
+    grant({ getTracks: () => [track] });
+    await starting;
+    expect(track.stop).toHaveBeenCalled();
+  });
+});
+
+// Speaks one utterance at a time; cancel() interrupts it the way browsers do, by firing onend
+const fakeSpeechSynthesis = () => {
+  const synth = {
+    current: null,
+    getVoices: () => [],
+    speak: vi.fn((utterance) => { synth.current = utterance; }),
+    cancel: vi.fn(() => {
+      const utterance = synth.current;
+      synth.current = null;
+      utterance?.onend?.();
+    }),
+    addEventListener: vi.fn(),
+    removeEventListener: vi.fn(),
+  };
+  return synth;
+};
+
+describe('ReadAloudButton', () => {
+  const SETTINGS = { voiceURI: '', rate: 1 };
+  let synth;
+  beforeEach(() => {
+    synth = fakeSpeechSynthesis();
+    vi.stubGlobal('speechSynthesis', synth);
+    vi.stubGlobal('SpeechSynthesisUtterance', class { constructor(text) { this.text = text; } });
+  });
+
+  it('stops reading when the reply unmounts', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const { unmount } = renderView(<ReadAloudButton text="Take a **slow** breath" settings={SETTINGS} />);
+    fireEvent.click(screen.getByRole('button', { name: 'Read aloud' }));
+    expect(synth.current.text).toBe('Take a slow breath');
+
+    const { cancel } = synth;
+    cancel.mockClear();
+    unmount();
+    expect(cancel).toHaveBeenCalledTimes(1);
+    expect(synth.current).toBeNull();
+    await act(() => Promise.resolve());
+    expect(console.error).not.toHaveBeenCalled();
+  });
+
+  it("leaves another reply's speech alone when an idle button unmounts", () => {
+    renderView(<ReadAloudButton text="First reply" settings={SETTINGS} />);
+    const { unmount } = renderView(<ReadAloudButton text="Second reply" settings={SETTINGS} />);
+    fireEvent.click(screen.getAllByRole('button', { name: 'Read aloud' })[0]);
+    synth.cancel.mockClear();
+
+    unmount();
+    expect(synth.cancel).not.toHaveBeenCalled();
+    expect(synth.current.text).toBe('First reply');
+  });
+});